@@ -1,27 +1,29 @@
 // Front‑end logic for the Image Overlay Web App.
 // This script implements an interactive canvas where a user can load a
-// background and an overlay image (with a grey matte), drag the overlay
-// around, resize it, rotate it, flip it horizontally or vertically and
-// export two images: the composited canvas and the keyed overlay only.
+// background and one or more overlay images (with a grey matte), drag each
+// overlay around, resize it, rotate it, flip it horizontally or vertically
+// and export the composited canvas plus one keyed image per overlay.
 
 /* Global state */
 let bgImg = null;              // HTMLImageElement for background
-let overlayImg = null;         // HTMLImageElement for keyed overlay
-let overlayOriginalImg = null; // Original keyed overlay (untransformed)
-let overlayState = {
-  x: 0,
-  y: 0,
-  scale: 1,
-  angle: 0,   // degrees
-  flipH: false,
-  flipV: false,
-};
+let bgName = null;             // File name of the background, used for output names
+let bgHash = null;             // SHA‑256 of the background file (hex), once computed
+let bgHashReady = Promise.resolve(); // Settles once bgHash is known
+// Overlay layers in drawing order: layers[0] is at the back, the last layer
+// is in front. Each layer carries its own images, keying, crop and transform
+// (see createLayer).
+let layers = [];
+// The selected layer; transform controls, crop and keying act on it
+let activeLayer = null;
+let nextLayerId = 1;
 let dragging = false;
 let dragData = { localX: 0, localY: 0 };
-// When true, the user is resizing the overlay via a corner handle
+// When true, the user is resizing the overlay via a corner or edge handle
 let resizing = false;
-// Index of the handle being dragged (0: top‑left, 1: top‑right, 2: bottom‑right, 3: bottom‑left)
-let resizeHandle = -1;
+// The handle being dragged, as returned by layerHandles
+let resizeHandle = null;
+// When true, the user is turning the overlay with the rotation handle
+let rotating = false;
 let saveCounter = 0;
 
 // Canvas and context
@@ -30,7 +32,18 @@ const ctx = canvas.getContext('2d');
 
 // UI elements
 const bgInput = document.getElementById('bg-input');
+const bgFolderInput = document.getElementById('bg-folder-input');
+// Background playlist: filmstrip of loaded backgrounds with navigation
+const playlistPanel = document.getElementById('playlist-panel');
+const filmstrip = document.getElementById('filmstrip');
+const bgPrevBtn = document.getElementById('bg-prev');
+const bgNextBtn = document.getElementById('bg-next');
+const bgPosition = document.getElementById('bg-position');
+const bgAutoAdvanceCheckbox = document.getElementById('bg-auto-advance');
 const overlayInput = document.getElementById('overlay-input');
+// Overlays loaded before any background wait here until one is shown
+let queuedOverlays = [];
+const loadStatus = document.getElementById('load-status');
 const removeOverlayBtn = document.getElementById('remove-overlay');
 const setOutputBtn = document.getElementById('set-output');
 const controls = document.getElementById('controls');
@@ -42,12 +55,117 @@ const rotP5Btn = document.getElementById('rot-p5');
 const rotResetBtn = document.getElementById('rot-reset');
 const flipHBtn = document.getElementById('flip-h');
 const flipVBtn = document.getElementById('flip-v');
-const outputPrefixInput = document.getElementById('output-prefix');
+// File name template for saved outputs, e.g. "{bg}_{n:04}"
+const outputTemplateInput = document.getElementById('output-template');
+const OUTPUT_TEMPLATE_STORAGE_KEY = 'overlayApp.outputTemplate';
+outputTemplateInput.value = loadStoredJson(OUTPUT_TEMPLATE_STORAGE_KEY, '');
 const saveBtn = document.getElementById('save');
+const copyCompositeBtn = document.getElementById('copy-composite');
+const copyOverlayBtn = document.getElementById('copy-overlay');
 const newBtn = document.getElementById('new-session');
 const outputStatus = document.getElementById('output-status');
+const saveProjectBtn = document.getElementById('save-project');
+const projectInput = document.getElementById('project-input');
+// Identifies project files written by this app and their format version
+const PROJECT_FILE_TYPE = 'image-overlay-project';
+const PROJECT_FORMAT_VERSION = 1;
+// Recorded in recipe sidecars so composites can be traced to the app version
+const APP_VERSION = '1.0.0';
+const RECIPE_FILE_TYPE = 'image-overlay-recipe';
+const RECIPE_FORMAT_VERSION = 1;
+const recipeInput = document.getElementById('recipe-input');
+// Layer panel elements
+const layerPanel = document.getElementById('layer-panel');
+const layerList = document.getElementById('layer-list');
+const layerUpBtn = document.getElementById('layer-up');
+const layerDownBtn = document.getElementById('layer-down');
+const layerDuplicateBtn = document.getElementById('layer-duplicate');
+const layerDeleteBtn = document.getElementById('layer-delete');
+const layerLabelInput = document.getElementById('layer-label');
+// Annotation export: format selector and the class names used so far.
+// YOLO needs stable numeric class ids, so the list is remembered across
+// sessions and new labels are appended to it.
+const annotationFormatSelect = document.getElementById('annotation-format');
+const ANNOTATION_FORMAT_STORAGE_KEY = 'overlayApp.annotationFormat';
+const CLASS_NAMES_STORAGE_KEY = 'overlayApp.classNames';
+const DEFAULT_CLASS_LABEL = 'object';
+let classNames = loadStoredJson(CLASS_NAMES_STORAGE_KEY, []);
+annotationFormatSelect.value = loadStoredJson(ANNOTATION_FORMAT_STORAGE_KEY, 'none');
+// Segmentation export: mask type ('none', 'binary' or 'instance') and whether
+// polygon outlines and rotated boxes are written to a JSON sidecar
+const maskFormatSelect = document.getElementById('mask-format');
+const exportGeometryCheckbox = document.getElementById('export-geometry');
+const MASK_OPTIONS_STORAGE_KEY = 'overlayApp.maskOptions';
+const storedMaskOptions = loadStoredJson(MASK_OPTIONS_STORAGE_KEY, {});
+maskFormatSelect.value = storedMaskOptions.format || 'none';
+exportGeometryCheckbox.checked = !!storedMaskOptions.geometry;
+// Export options dialog: image format and quality, output size, and whether
+// and how the per‑layer object images are written
+const exportOptionsBtn = document.getElementById('export-options');
+const exportOverlay = document.getElementById('export-overlay');
+const exportFormatSelect = document.getElementById('export-format');
+const exportQualityInput = document.getElementById('export-quality');
+const exportQualityValue = document.getElementById('export-quality-value');
+const exportResizeSelect = document.getElementById('export-resize');
+const exportLongEdgeInput = document.getElementById('export-long-edge');
+const exportPercentInput = document.getElementById('export-percent');
+const exportObjectsCheckbox = document.getElementById('export-objects');
+const exportObjectModeSelect = document.getElementById('export-object-mode');
+const exportCloseBtn = document.getElementById('export-close');
+const EXPORT_OPTIONS_STORAGE_KEY = 'overlayApp.exportOptions';
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'png',          // 'png', 'jpeg' or 'webp'
+  quality: 92,            // JPEG/WebP quality, 1–100
+  resize: 'none',         // 'none', 'long-edge' or 'percent'
+  longEdge: 1024,         // output long edge in pixels for 'long-edge'
+  percent: 50,            // output scale for 'percent'
+  objects: true,          // write one object image per layer
+  objectMode: 'original', // 'original' keyed image or 'transformed' as placed
+};
+let exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...loadStoredJson(EXPORT_OPTIONS_STORAGE_KEY, {}) };
+// Augmentation effects applied when saving, so that pasted objects share
+// the capture characteristics of the background. Each is a [min, max]
+// range sampled anew for every save (and for every overlay). Sizes are in
+// output pixels and noise is a standard deviation in 0–255 levels;
+// rescaling and JPEG re‑compression are off at 100.
+const EFFECTS_STORAGE_KEY = 'overlayApp.effects';
+const DEFAULT_EFFECTS = {
+  blur: [0, 0],           // overlay Gaussian blur radius
+  motion: [0, 0],         // overlay motion blur length
+  motionAngle: [0, 0],    // direction of the motion blur in degrees
+  sharpen: [0, 0],        // overlay unsharp mask amount, percent
+  noise: [0, 0],          // overlay sensor noise
+  rescale: [100, 100],    // composite scaled down to this percentage and back up
+  compositeNoise: [0, 0], // noise over the whole composite
+  jpeg: [100, 100],       // composite re‑compressed as JPEG at this quality
+};
+// Effects applied to each overlay and to the whole composite, in order
+const OVERLAY_EFFECTS = ['blur', 'motion', 'motionAngle', 'sharpen', 'noise'];
+const COMPOSITE_EFFECTS = ['rescale', 'compositeNoise', 'jpeg'];
+// Min and max input per effect in the export dialog, keyed by effect name
+const effectInputs = {};
+for (const name of Object.keys(DEFAULT_EFFECTS)) {
+  effectInputs[name] = [
+    document.getElementById(`effect-${name}-min`),
+    document.getElementById(`effect-${name}-max`),
+  ];
+}
+let effectRanges = { ...DEFAULT_EFFECTS, ...loadStoredJson(EFFECTS_STORAGE_KEY, {}) };
+// Subfolders of the output directory for composites (with annotations and
+// recipes), object images and masks. Paths may be nested ("images/train")
+// or empty for the output directory itself.
+const outputFolderInputs = {
+  canvas: document.getElementById('folder-canvas'),
+  objects: document.getElementById('folder-objects'),
+  masks: document.getElementById('folder-masks'),
+};
+const OUTPUT_FOLDERS_STORAGE_KEY = 'overlayApp.outputFolders';
+const DEFAULT_OUTPUT_FOLDERS = { canvas: 'Canvas', objects: 'objects', masks: 'masks' };
+const outputFolders = { ...DEFAULT_OUTPUT_FOLDERS, ...loadStoredJson(OUTPUT_FOLDERS_STORAGE_KEY, {}) };
 // Crop button and cropping state variables
 const cropBtn = document.getElementById('crop');
+const distortBtn = document.getElementById('distort');
+const distortResetBtn = document.getElementById('distort-reset');
 // Indicates whether user has toggled crop mode
 let cropMode = false;
 // True while pointer drag defines the crop rectangle
@@ -57,107 +175,435 @@ let cropStart = null;
 // Ending corner of crop rectangle in unscaled overlay local coordinates
 let cropEnd = null;
 
-// Undo/Redo state and buttons. We maintain a stack of previous states
-// (undoStack) and a stack of undone states (redoStack). Each state stores
-// the overlay image data URL, the original keyed overlay data URL and the
-// overlayState parameters. This allows reverting and re‑applying edits such as
-// moves, resizes, rotations, flips and cropping.
+// Keying panel elements and chroma key settings. The key colour, tolerance,
+// edge softness and distance metric used by applyChromaKey are editable in
+// the UI per layer. The last used settings are remembered in localStorage
+// and applied to newly loaded overlays.
+const keyPanel = document.getElementById('key-panel');
+const eyedropperBtn = document.getElementById('eyedropper');
+const keySwatch = document.getElementById('key-swatch');
+const keyToleranceInput = document.getElementById('key-tolerance');
+const keyToleranceValue = document.getElementById('key-tolerance-value');
+const keySoftnessInput = document.getElementById('key-softness');
+const keySoftnessValue = document.getElementById('key-softness-value');
+const keyMetricSelect = document.getElementById('key-metric');
+const keyResetBtn = document.getElementById('key-reset');
+const alphaSourceSelect = document.getElementById('alpha-source');
+const alphaStatus = document.getElementById('alpha-status');
+const matteInput = document.getElementById('matte-input');
+const KEY_SETTINGS_STORAGE_KEY = 'overlayApp.keySettings';
+const DEFAULT_KEY_SETTINGS = {
+  r: 128,
+  g: 128,
+  b: 128,
+  tolerance: 22,
+  softness: 2,     // width of the alpha ramp in distance units
+  metric: 'max',   // 'max' (max channel difference) or 'ycbcr' (perceptual)
+};
+let keySettings = { ...DEFAULT_KEY_SETTINGS, ...loadStoredJson(KEY_SETTINGS_STORAGE_KEY, {}) };
+// When true, the next click on the overlay samples the key colour
+let eyedropperMode = false;
+// True while a slider drag is in progress, so it is recorded as a single undo step
+let keyEditActive = false;
+// Each layer's latest re‑key token, so that stale asynchronous results are
+// dropped; only a newer re‑key of the same layer supersedes an older one
+const rekeyTokens = new WeakMap();
+
+// Matte refinement applied after keying (see refineMatte). Like the key
+// settings it is baked into the layer's keyed image.
+const refinePanel = document.getElementById('refine-panel');
+const refineResetBtn = document.getElementById('refine-reset');
+const DEFAULT_REFINE_SETTINGS = {
+  choke: 0,      // pixels; positive erodes the matte, negative dilates it
+  feather: 0,    // blur radius of the alpha in pixels
+  despeckle: 0,  // largest speck or hole to remove, in pixels
+  spill: 0,      // 0..100, strength of edge colour decontamination
+};
+const refineInputs = {};
+const refineValues = {};
+for (const name of Object.keys(DEFAULT_REFINE_SETTINGS)) {
+  refineInputs[name] = document.getElementById(`refine-${name}`);
+  refineValues[name] = document.getElementById(`refine-${name}-value`);
+}
+// True while a refinement slider drag is in progress (one undo step)
+let refineEditActive = false;
+
+// Erase/restore brushes. Strokes are painted into a per‑layer paint canvas
+// in unkeyed overlay pixels (see applyPaint), so they survive re‑keying and
+// cropping.
+const brushPanel = document.getElementById('brush-panel');
+const brushEraseBtn = document.getElementById('brush-erase');
+const brushRestoreBtn = document.getElementById('brush-restore');
+const brushSizeInput = document.getElementById('brush-size');
+const brushSizeValue = document.getElementById('brush-size-value');
+const brushHardnessInput = document.getElementById('brush-hardness');
+const brushHardnessValue = document.getElementById('brush-hardness-value');
+const brushOpacityInput = document.getElementById('brush-opacity');
+const brushOpacityValue = document.getElementById('brush-opacity-value');
+const brushClearBtn = document.getElementById('brush-clear');
+// Active brush: null, 'erase' or 'restore'
+let brushMode = null;
+// Stroke in progress as { layer, base, stroke, last }
+let brushStroke = null;
+// Pointer position in background pixels, for the brush outline
+let brushCursor = null;
+// True while a re‑key for the current stroke is waiting for the next frame
+let brushRekeyPending = false;
+
+// Occluders: a mask over the background whose pixels are drawn again in
+// front of the overlays, so objects can sit behind parts of the scene. The
+// mask is a canvas of the background's size; its alpha is the coverage.
+const occluderPanel = document.getElementById('occluder-panel');
+const occluderPaintBtn = document.getElementById('occluder-paint');
+const occluderEraseBtn = document.getElementById('occluder-erase');
+const occluderPolygonBtn = document.getElementById('occluder-polygon');
+const occluderSizeInput = document.getElementById('occluder-size');
+const occluderSizeValue = document.getElementById('occluder-size-value');
+const occluderInput = document.getElementById('occluder-input');
+const occluderClearBtn = document.getElementById('occluder-clear');
+// Mask of the current background, or null when nothing occludes
+let occluderMask = null;
+// Masks of backgrounds loaded from files, kept while switching backgrounds
+const occluderMasks = new WeakMap();
+// Background file shown, or null for backgrounds from projects and recipes
+let bgFile = null;
+// Active occluder tool: null, 'paint', 'erase' or 'polygon'
+let occluderMode = null;
+// Stroke in progress as { last }; strokes paint into a new mask canvas
+let occluderStroke = null;
+// Corners of the polygon being drawn, in background pixels
+let occluderPolygon = [];
+// Pointer position in background pixels, for the occluder brush outline
+let occluderCursor = null;
+// Occluder pixels for the editor view, rebuilt when the mask changes
+let occluderView = null;
+
+// Colour and lighting adjustments. They are stored per layer and applied
+// when the layer is drawn, so the keyed image itself is never changed.
+const adjustPanel = document.getElementById('adjust-panel');
+const adjustAutoBtn = document.getElementById('adjust-auto');
+const adjustResetBtn = document.getElementById('adjust-reset');
+const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,   // -100..100, added to every channel
+  contrast: 0,     // -100..100, stretch around mid grey
+  saturation: 0,   // -100..100
+  hue: 0,          // degrees
+  temperature: 0,  // -100..100, negative is cooler (bluer), positive warmer
+  gamma: 1,
+  opacity: 100,    // percent
+};
+// Slider and value display per adjustment, keyed by adjustment name
+const adjustInputs = {};
+const adjustValues = {};
+for (const name of Object.keys(DEFAULT_ADJUSTMENTS)) {
+  adjustInputs[name] = document.getElementById(`adjust-${name}`);
+  adjustValues[name] = document.getElementById(`adjust-${name}-value`);
+}
+// True while an adjustment slider drag is in progress (one undo step)
+let adjustEditActive = false;
+
+// Shadows generated from each overlay's keyed alpha. Like the adjustments
+// they are per layer settings applied when drawing; they go into the
+// composite but not into object images or masks.
+const shadowPanel = document.getElementById('shadow-panel');
+const shadowModeSelect = document.getElementById('shadow-mode');
+const shadowColorInput = document.getElementById('shadow-color');
+const shadowResetBtn = document.getElementById('shadow-reset');
+const DEFAULT_SHADOW = {
+  mode: 'none',     // 'none', 'drop' or 'cast'
+  color: '#000000',
+  opacity: 50,      // percent, on top of the layer's opacity
+  blur: 8,          // softness in pixels
+  offsetX: 10,      // drop shadow offset in pixels
+  offsetY: 10,
+  direction: 150,   // cast shadow: where it falls, in degrees; 0 is towards
+                    // the viewer, 90 to the right and 180 away
+  length: 60,       // cast shadow length, percent of the object's height
+  tilt: 30,         // 0..100, how far the ground plane is seen from above
+  ground: 0,        // ground line offset below the object's lowest pixel
+};
+// Slider and value display per numeric shadow setting, keyed by setting name
+const shadowInputs = {};
+const shadowValues = {};
+for (const name of Object.keys(DEFAULT_SHADOW)) {
+  if (name === 'mode' || name === 'color') continue;
+  shadowInputs[name] = document.getElementById(`shadow-${name}`);
+  shadowValues[name] = document.getElementById(`shadow-${name}-value`);
+}
+// True while a shadow slider or colour drag is in progress (one undo step)
+let shadowEditActive = false;
+
+// Create a layer for an overlay. `props` overrides the defaults below.
+function createLayer(props) {
+  return {
+    id: nextLayerId++,
+    name: 'Overlay',
+    img: null,          // HTMLImageElement for keyed overlay
+    originalImg: null,  // Original keyed overlay (untransformed)
+    rawImg: null,       // Overlay as loaded, before keying (source for re-keying)
+    matteImg: null,     // Optional black/white matte used as the overlay's alpha
+    paintCanvas: null,  // Erase/restore brush strokes over rawImg (see applyPaint)
+    source: null,       // Overlay file as { file, sha256 } for recipes
+    matteSource: null,  // Matte file as { file, sha256 } for recipes
+    // Where the alpha comes from: 'key' (chroma key), 'embedded' (the file's
+    // own alpha channel) or 'matte' (luminance of matteImg)
+    alphaSource: 'key',
+    hasAlpha: false,    // True when the loaded file has a non‑opaque alpha channel
+    crop: null,         // Crop rectangle applied to rawImg, in original overlay pixels
+    key: { ...keySettings },
+    refine: { ...DEFAULT_REFINE_SETTINGS }, // Matte refinement after keying
+    adjust: { ...DEFAULT_ADJUSTMENTS }, // Colour/lighting adjustments applied when drawing
+    shadow: { ...DEFAULT_SHADOW }, // Shadow drawn under the layer in the composite
+    label: DEFAULT_CLASS_LABEL, // Class label written to annotation files
+    state: {
+      x: 0,
+      y: 0,
+      scaleX: 1,  // horizontal and vertical scale of the image
+      scaleY: 1,
+      angle: 0,   // degrees
+      // Perspective distortion: null, or where the image corners (TL, TR, BR,
+      // BL) go, in unscaled pixels relative to the layer centre
+      corners: null,
+      flipH: false,
+      flipV: false,
+    },
+    visible: true,
+    ...props,
+  };
+}
+
+// Undo history. Each step records the layer set as it was before a named
+// action. Snapshots share the layers' images instead of copying them:
+// images are never changed once created and brush strokes paint into a new
+// canvas, so a step that only moves a layer costs a few numbers. The oldest
+// steps are dropped once the pixel data that only the history keeps alive
+// exceeds the memory limit.
 const undoBtn = document.getElementById('undo');
 const redoBtn = document.getElementById('redo');
-const undoStack = [];
-const redoStack = [];
-
-// Save the current overlay state onto the undo stack and clear the redo
-// stack. Only saves when an overlay exists. Called at the beginning of
-// interactive actions (dragging, resizing, rotating, flipping, cropping).
-function saveState() {
-  if (!overlayImg || !overlayOriginalImg) return;
-  const stateCopy = { ...overlayState };
-  const overlayData = overlayImg.src;
-  const originalData = overlayOriginalImg.src;
-  undoStack.push({ overlayData, originalData, state: stateCopy });
-  // Clear redo history when a new action is recorded
-  redoStack.length = 0;
-  updateUndoRedoButtons();
+const historyPanel = document.getElementById('history-panel');
+const historyList = document.getElementById('history-list');
+const historyLimitInput = document.getElementById('history-limit');
+const historyUsage = document.getElementById('history-usage');
+const HISTORY_LIMIT_STORAGE_KEY = 'overlayApp.historyLimit';
+const DEFAULT_HISTORY_LIMIT_MB = 256;
+// Steps saved with the same merge key less than this many milliseconds
+// apart are combined, so typing an angle or nudging is a single step
+const HISTORY_MERGE_INTERVAL = 1000;
+// Recorded steps as { label, mergeKey, time, state }, oldest first
+let historySteps = [];
+// Number of steps currently applied; steps after it can be redone
+let historyIndex = 0;
+// The layer set as it was before stepping back from the newest step
+let historyTip = null;
+let historyLimitMB = loadStoredJson(HISTORY_LIMIT_STORAGE_KEY, DEFAULT_HISTORY_LIMIT_MB);
+historyLimitInput.value = historyLimitMB;
+
+// Helper: a copy of a saved layer state with every current field. States
+// saved before separate horizontal and vertical scales have one `scale`.
+function normalizeLayerState(saved) {
+  const { scale, ...state } = saved;
+  const uniform = scale === undefined ? 1 : scale;
+  return { scaleX: uniform, scaleY: uniform, corners: null, ...state };
 }
 
-// Restore the most recent state from the undo stack. The current state is
-// pushed onto the redo stack before restoring. If no undo is available the
-// function does nothing.
-function undo() {
-  if (undoStack.length === 0) return;
-  // Push current state onto redo stack
-  if (overlayImg && overlayOriginalImg) {
-    const current = {
-      overlayData: overlayImg.src,
-      originalData: overlayOriginalImg.src,
-      state: { ...overlayState },
-    };
-    redoStack.push(current);
-  } else {
-    redoStack.push({ overlayData: null, originalData: null, state: null });
+// Helper: a copy of a layer whose settings can be changed without touching
+// the original. Images are shared.
+function copyLayer(layer) {
+  const { corners } = layer.state;
+  return {
+    ...layer,
+    crop: layer.crop && { ...layer.crop },
+    key: { ...layer.key },
+    refine: { ...layer.refine },
+    adjust: { ...layer.adjust },
+    shadow: { ...layer.shadow },
+    state: { ...layer.state, corners: corners && corners.map((corner) => ({ ...corner })) },
+  };
+}
+
+// Capture the whole layer set and the occluder mask as a history snapshot
+function captureState() {
+  return {
+    layers: layers.map(copyLayer),
+    activeId: activeLayer ? activeLayer.id : null,
+    background: bgImg,
+    occluder: occluderMask,
+  };
+}
+
+// Make a snapshot produced by captureState the current layer set. The
+// layers are copied so that the snapshot can be restored again later.
+function restoreState(snapshot) {
+  layers = snapshot.layers.map(copyLayer);
+  // Steps recorded on another background are moved onto the current one,
+  // as the live layers were when the background changed
+  if (snapshot.background && bgImg && snapshot.background !== bgImg) {
+    const { width, height } = snapshot.background;
+    for (const layer of layers) carryOverPlacement(layer, width, height, bgImg.width, bgImg.height);
   }
-  const prev = undoStack.pop();
-  if (prev.overlayData) {
-    const img = new Image();
-    img.onload = () => {
-      overlayImg = img;
-      overlayOriginalImg = img;
-      overlayState = { ...prev.state };
-      drawScene();
-      updateUndoRedoButtons();
-    };
-    img.src = prev.overlayData;
-  } else {
-    // If prev.overlayData is null, remove overlay
-    overlayImg = null;
-    overlayOriginalImg = null;
-    drawScene();
-    updateUndoRedoButtons();
+  activeLayer = layers.find((layer) => layer.id === snapshot.activeId) || null;
+  // An occluder mask only fits the background it was drawn on
+  if (snapshot.background === bgImg) setOccluderMask(snapshot.occluder);
+  refreshLayerUI();
+  drawScene();
+  renderHistory();
+  updateUndoRedoButtons();
+}
+
+// Record the current layer set as the state before the action named
+// `label`, discarding any undone steps. Called at the beginning of actions
+// such as dragging, rotating, cropping, key changes and layer operations.
+// Repeated saves with the same `mergeKey` in quick succession extend the
+// previous step instead of adding one.
+function saveState(label, mergeKey = null) {
+  if (!bgImg) return;
+  const now = Date.now();
+  const last = historySteps[historySteps.length - 1];
+  if (mergeKey && last && historyIndex === historySteps.length
+    && last.mergeKey === mergeKey && now - last.time < HISTORY_MERGE_INTERVAL) {
+    last.time = now;
+    return;
   }
+  historySteps.length = historyIndex;
+  historyTip = null;
+  historySteps.push({ label, mergeKey, time: now, state: captureState() });
+  historyIndex = historySteps.length;
+  trimHistory();
+  renderHistory();
+  updateUndoRedoButtons();
+}
+
+// Drop the newest step if the pointer gesture it was recorded for left every
+// layer transform as it was, e.g. a click on a layer without dragging it
+function discardUnchangedStep() {
+  const last = historySteps[historySteps.length - 1];
+  if (!last || historyIndex !== historySteps.length) return;
+  const before = last.state.layers;
+  const unchanged = before.length === layers.length && before.every((saved, i) => (
+    saved.id === layers[i].id && JSON.stringify(saved.state) === JSON.stringify(layers[i].state)
+  ));
+  if (!unchanged) return;
+  historySteps.pop();
+  historyIndex = historySteps.length;
+  renderHistory();
+  updateUndoRedoButtons();
+}
+
+// Make the layer set as it was after the first `index` steps current
+function jumpToHistory(index) {
+  if (index < 0 || index > historySteps.length || index === historyIndex) return;
+  if (historyIndex === historySteps.length) historyTip = captureState();
+  historyIndex = index;
+  restoreState(index === historySteps.length ? historyTip : historySteps[index].state);
+}
+
+function undo() {
+  jumpToHistory(historyIndex - 1);
 }
 
-// Reapply the most recently undone state from the redo stack. The current
-// state is pushed back to the undo stack before restoring. If no redo is
-// available the function does nothing.
 function redo() {
-  if (redoStack.length === 0) return;
-  // Push current state onto undo stack
-  if (overlayImg && overlayOriginalImg) {
-    const current = {
-      overlayData: overlayImg.src,
-      originalData: overlayOriginalImg.src,
-      state: { ...overlayState },
-    };
-    undoStack.push(current);
-  } else {
-    undoStack.push({ overlayData: null, originalData: null, state: null });
+  jumpToHistory(historyIndex + 1);
+}
+
+// Forget every step, e.g. when the session is replaced
+function clearHistory() {
+  historySteps = [];
+  historyIndex = 0;
+  historyTip = null;
+  renderHistory();
+  updateUndoRedoButtons();
+}
+
+// Helper: the images held by a snapshot's layers, its occluder mask and
+// the background it was taken on, which outlives a change of background
+function* snapshotImages(snapshot) {
+  for (const layer of snapshot.layers) {
+    yield* [layer.img, layer.originalImg, layer.rawImg, layer.matteImg, layer.paintCanvas];
   }
-  const next = redoStack.pop();
-  if (next.overlayData) {
-    const img = new Image();
-    img.onload = () => {
-      overlayImg = img;
-      overlayOriginalImg = img;
-      overlayState = { ...next.state };
-      drawScene();
-      updateUndoRedoButtons();
-    };
-    img.src = next.overlayData;
-  } else {
-    overlayImg = null;
-    overlayOriginalImg = null;
-    drawScene();
-    updateUndoRedoButtons();
+  yield snapshot.occluder;
+  yield snapshot.background;
+}
+
+// Helper: decoded pixel data kept alive only by the history, i.e. images
+// in saved snapshots that the current layers no longer use, as { bytes,
+// users } where `users` counts the snapshots holding each such image
+function historyImageUsage() {
+  const live = new Set(snapshotImages({ layers, occluder: occluderMask, background: bgImg }));
+  const users = new Map();
+  let bytes = 0;
+  const snapshots = historySteps.map((step) => step.state);
+  if (historyTip) snapshots.push(historyTip);
+  for (const snapshot of snapshots) {
+    for (const image of new Set(snapshotImages(snapshot))) {
+      if (!image || live.has(image)) continue;
+      if (!users.has(image)) bytes += image.width * image.height * 4;
+      users.set(image, (users.get(image) || 0) + 1);
+    }
+  }
+  return { bytes, users };
+}
+
+// Bytes of decoded pixel data kept alive only by the history
+function historyMemory() {
+  return historyImageUsage().bytes;
+}
+
+// Drop the oldest applied steps until the history fits the memory limit.
+// The usage is counted once; each dropped step then frees the images no
+// other snapshot holds.
+function trimHistory() {
+  const limit = historyLimitMB * 1024 * 1024;
+  const usage = historyImageUsage();
+  const users = usage.users;
+  let bytes = usage.bytes;
+  while (historyIndex > 0 && bytes > limit) {
+    const { state } = historySteps.shift();
+    historyIndex--;
+    for (const image of new Set(snapshotImages(state))) {
+      if (!users.has(image)) continue;
+      users.set(image, users.get(image) - 1);
+      if (users.get(image) === 0) bytes -= image.width * image.height * 4;
+    }
   }
 }
 
-// Enable or disable undo and redo buttons based on stack sizes.
+// Rebuild the history list: the oldest remaining state, then one row per
+// step. The current step is highlighted and undone steps are greyed out.
+function renderHistory() {
+  historyList.textContent = '';
+  const labels = ['Start', ...historySteps.map((step) => step.label)];
+  labels.forEach((label, i) => {
+    const item = document.createElement('li');
+    item.textContent = label;
+    item.classList.toggle('selected', i === historyIndex);
+    item.classList.toggle('undone', i > historyIndex);
+    item.addEventListener('click', () => jumpToHistory(i));
+    historyList.appendChild(item);
+  });
+  const current = historyList.children[historyIndex];
+  if (current) current.scrollIntoView({ block: 'nearest' });
+  historyUsage.textContent = `${(historyMemory() / (1024 * 1024)).toFixed(1)} MB used`;
+}
+
+// Enable or disable undo and redo buttons based on the position in the history
 function updateUndoRedoButtons() {
-  undoBtn.disabled = undoStack.length === 0;
-  redoBtn.disabled = redoStack.length === 0;
+  undoBtn.disabled = historyIndex === 0;
+  redoBtn.disabled = historyIndex === historySteps.length;
 }
 
+historyLimitInput.addEventListener('change', () => {
+  const value = parseFloat(historyLimitInput.value);
+  if (!Number.isFinite(value) || value <= 0) {
+    historyLimitInput.value = historyLimitMB;
+    return;
+  }
+  historyLimitMB = value;
+  storeJson(HISTORY_LIMIT_STORAGE_KEY, historyLimitMB);
+  trimHistory();
+  renderHistory();
+  updateUndoRedoButtons();
+});
+
 // Attach click handlers for undo/redo buttons
 undoBtn.addEventListener('click', () => {
   undo();
@@ -166,107 +612,701 @@ redoBtn.addEventListener('click', () => {
   redo();
 });
 
-// Keyboard shortcuts: Ctrl/Cmd+Z for undo, Ctrl+Y or Ctrl+Shift+Z for redo
-document.addEventListener('keydown', (e) => {
-  const isCtrlOrMeta = e.ctrlKey || e.metaKey;
-  if (!isCtrlOrMeta) return;
-  // Undo: Ctrl/Cmd+Z (no Shift)
-  if (e.code === 'KeyZ' && !e.shiftKey) {
-    e.preventDefault();
-    undo();
-  }
-  // Redo: Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z
-  if ((e.code === 'KeyY') || (e.code === 'KeyZ' && e.shiftKey)) {
-    e.preventDefault();
-    redo();
-  }
-});
+// Leave crop mode and discard any selection
+function resetCropMode() {
+  cropMode = false;
+  cropping = false;
+  cropStart = null;
+  cropEnd = null;
+  cropBtn.textContent = 'Crop';
+  updateCanvasCursor();
+}
 
 // Crop button toggles crop mode on and off. When entering crop mode the user can drag
 // a rectangle on the overlay to crop the image. Clicking again cancels crop mode.
 cropBtn.addEventListener('click', () => {
   // Crop button only works when an overlay image is loaded
-  if (!overlayImg) return;
+  if (!activeLayer) return;
   if (!cropMode) {
-    // Save current state before entering crop mode for undo
-    saveState();
     // Enter crop mode: reset any previous selection
+    resetCropMode();
+    setBrushMode(null);
+    setOccluderMode(null);
     cropMode = true;
-    cropping = false;
-    cropStart = null;
-    cropEnd = null;
     cropBtn.textContent = 'Cancel Crop';
+    updateCanvasCursor();
   } else {
     // Exit crop mode without applying crop
-    cropMode = false;
-    cropping = false;
-    cropStart = null;
-    cropEnd = null;
-    cropBtn.textContent = 'Crop';
+    resetCropMode();
     drawScene();
   }
 });
 
+/* Layer stack */
+
+// Select a layer (or null) and update the panels that reflect it
+function selectLayer(layer) {
+  if (layer !== activeLayer) {
+    resetCropMode();
+    setEyedropperMode(false);
+    brushStroke = null;
+  }
+  activeLayer = layer;
+  refreshLayerUI();
+  drawScene();
+}
+
+// Update every control that depends on the layer set or the selected layer
+function refreshLayerUI() {
+  const hasLayers = layers.length > 0;
+  saveProjectBtn.disabled = !bgImg;
+  saveBtn.disabled = !bgImg || !layers.some((layer) => layer.visible);
+  copyCompositeBtn.disabled = !bgImg;
+  copyOverlayBtn.disabled = !activeLayer;
+  removeOverlayBtn.disabled = !activeLayer;
+  // Cropping works on the undistorted image only
+  cropBtn.disabled = !activeLayer || !!activeLayer.state.corners;
+  distortBtn.disabled = !activeLayer;
+  distortResetBtn.disabled = !activeLayer || !activeLayer.state.corners;
+  layerPanel.style.display = hasLayers ? 'flex' : 'none';
+  historyPanel.style.display = bgImg ? 'flex' : 'none';
+  occluderPanel.style.display = bgImg ? 'flex' : 'none';
+  keyPanel.style.display = activeLayer ? 'flex' : 'none';
+  refinePanel.style.display = activeLayer ? 'flex' : 'none';
+  brushPanel.style.display = activeLayer ? 'flex' : 'none';
+  transformPanel.style.display = activeLayer ? 'flex' : 'none';
+  brushClearBtn.disabled = !activeLayer || !activeLayer.paintCanvas;
+  adjustPanel.style.display = activeLayer ? 'flex' : 'none';
+  shadowPanel.style.display = activeLayer ? 'flex' : 'none';
+  const index = layers.indexOf(activeLayer);
+  layerUpBtn.disabled = index < 0 || index === layers.length - 1;
+  layerDownBtn.disabled = index <= 0;
+  layerDuplicateBtn.disabled = !activeLayer;
+  layerDeleteBtn.disabled = !activeLayer;
+  layerLabelInput.disabled = !activeLayer;
+  layerLabelInput.value = activeLayer ? activeLayer.label : '';
+  if (activeLayer) {
+    angleInput.value = Math.round(activeLayer.state.angle);
+    updateAlphaSourceControls();
+  }
+  updateKeyPanel();
+  updateRefinePanel();
+  updateAdjustPanel();
+  updateShadowPanel();
+  renderLayerList();
+}
+
+// Rebuild the layer list; the front‑most layer is listed first
+function renderLayerList() {
+  layerList.textContent = '';
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const item = document.createElement('li');
+    item.classList.toggle('selected', layer === activeLayer);
+    item.classList.toggle('hidden-layer', !layer.visible);
+    const visibleBox = document.createElement('input');
+    visibleBox.type = 'checkbox';
+    visibleBox.checked = layer.visible;
+    visibleBox.title = 'Show/hide layer';
+    visibleBox.addEventListener('click', (e) => {
+      // Toggling visibility should not change the selection
+      e.stopPropagation();
+      saveState(visibleBox.checked ? 'Show layer' : 'Hide layer');
+      layer.visible = visibleBox.checked;
+      refreshLayerUI();
+      drawScene();
+    });
+    const label = document.createElement('span');
+    label.textContent = layer.name;
+    item.append(visibleBox, label);
+    item.addEventListener('click', () => {
+      selectLayer(layer);
+    });
+    layerList.appendChild(item);
+  }
+}
+
+// Move the selected layer one step in the stack (+1 = towards the front)
+function moveActiveLayer(step) {
+  const index = layers.indexOf(activeLayer);
+  const target = index + step;
+  if (index < 0 || target < 0 || target >= layers.length) return;
+  saveState(step > 0 ? 'Bring forward' : 'Send backward');
+  layers.splice(index, 1);
+  layers.splice(target, 0, activeLayer);
+  refreshLayerUI();
+  drawScene();
+}
+
+// Remove the selected layer and select its neighbour
+function deleteActiveLayer() {
+  const index = layers.indexOf(activeLayer);
+  if (index < 0) return;
+  saveState('Delete layer');
+  layers.splice(index, 1);
+  selectLayer(layers[Math.min(index, layers.length - 1)] || null);
+}
+
+layerUpBtn.addEventListener('click', () => {
+  moveActiveLayer(1);
+});
+layerDownBtn.addEventListener('click', () => {
+  moveActiveLayer(-1);
+});
+layerDuplicateBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  saveState('Duplicate layer');
+  // Images are immutable once created, so the copy can share them
+  const props = copyLayer(activeLayer);
+  // The copy gets an id of its own
+  delete props.id;
+  const copy = createLayer({ ...props, name: `${activeLayer.name} copy` });
+  // Offset the copy slightly so it is visible, staying inside the background
+  const w = copy.img.width * copy.state.scaleX;
+  const h = copy.img.height * copy.state.scaleY;
+  const position = constrainToBackground(copy.state.x + 20, copy.state.y + 20, w, h);
+  copy.state.x = position.x;
+  copy.state.y = position.y;
+  layers.splice(layers.indexOf(activeLayer) + 1, 0, copy);
+  selectLayer(copy);
+});
+layerDeleteBtn.addEventListener('click', () => {
+  deleteActiveLayer();
+});
+layerLabelInput.addEventListener('change', () => {
+  if (!activeLayer) return;
+  // The layer still holds the previous label here, so it is what undo restores
+  saveState('Class label');
+  activeLayer.label = layerLabelInput.value.trim() || DEFAULT_CLASS_LABEL;
+  layerLabelInput.value = activeLayer.label;
+});
+
 // Handle to a user‑selected output directory (via File System Access API)
 let outputDirHandle = null;
 
+// Helper: draw a layer's keyed image with its transform onto a 2D context.
+// Colour adjustments and opacity are applied unless `plain` is set, which
+// masks and bounding boxes use so they follow the keyed alpha only.
+function drawLayer(context, layer, plain = false) {
+  const state = layer.state;
+  const img = plain ? layer.img : adjustedLayerImage(layer);
+  const w = img.width * state.scaleX;
+  const h = img.height * state.scaleY;
+  const cx = state.x + w / 2;
+  const cy = state.y + h / 2;
+  context.save();
+  if (!plain) context.globalAlpha *= layer.adjust.opacity / 100;
+  context.translate(cx, cy);
+  context.rotate((state.angle * Math.PI) / 180);
+  // Flip via scaling negative axes
+  const sx = state.flipH ? -1 : 1;
+  const sy = state.flipV ? -1 : 1;
+  context.scale(sx, sy);
+  context.scale(state.scaleX, state.scaleY);
+  if (state.corners) {
+    const warped = warpedImage(img, state.corners);
+    context.drawImage(warped.canvas, warped.x, warped.y);
+  } else {
+    context.drawImage(
+      img,
+      -img.width / 2,
+      -img.height / 2
+    );
+  }
+  context.restore();
+}
+
+// Helper: transform canvas coordinates into a layer's local space (origin at
+// the layer centre, axes rotated with the layer, in scaled pixels). Also
+// returns the layer's scaled size and centre.
+function toLayerLocal(layer, x, y) {
+  const state = layer.state;
+  const w = layer.img.width * Math.abs(state.scaleX);
+  const h = layer.img.height * Math.abs(state.scaleY);
+  const cx = state.x + w / 2;
+  const cy = state.y + h / 2;
+  // Translate to centre and rotate into overlay local space (scaled coordinates)
+  const dx = x - cx;
+  const dy = y - cy;
+  const angleRad = (-state.angle * Math.PI) / 180;
+  return {
+    x: dx * Math.cos(angleRad) - dy * Math.sin(angleRad),
+    y: dx * Math.sin(angleRad) + dy * Math.cos(angleRad),
+    w,
+    h,
+    cx,
+    cy,
+  };
+}
+
+// Helper: transform canvas coordinates into the layer's unscaled, unflipped
+// space (origin at the layer centre), where its distortion corners live
+function toLayerUnscaled(layer, x, y) {
+  const local = toLayerLocal(layer, x, y);
+  return {
+    x: (layer.state.flipH ? -local.x : local.x) / layer.state.scaleX,
+    y: (layer.state.flipV ? -local.y : local.y) / layer.state.scaleY,
+  };
+}
+
+// Helper: convert canvas coordinates into pixel coordinates (u, v) of the
+// layer's untransformed keyed image, undoing rotation, flips, scale and any
+// perspective distortion
+function toOverlayPixel(layer, x, y) {
+  let p = toLayerUnscaled(layer, x, y);
+  if (layer.state.corners) {
+    p = applyHomography(computeHomography(layer.state.corners, imageCorners(layer.img)), p);
+  }
+  return { u: p.x + layer.img.width / 2, v: p.y + layer.img.height / 2 };
+}
+
+// Helper: a layer's four corners (the image's TL, TR, BR, BL) in the layer's
+// local space as returned by toLayerLocal, following distortion and flips
+function layerQuad(layer) {
+  const state = layer.state;
+  return (state.corners || imageCorners(layer.img)).map((c) => ({
+    x: (state.flipH ? -c.x : c.x) * state.scaleX,
+    y: (state.flipV ? -c.y : c.y) * state.scaleY,
+  }));
+}
+
+// Distance of the rotation handle above the box, in screen pixels
+const ROTATE_HANDLE_OFFSET = 24;
+
+// Helper: the handles of a layer in its local space (see toLayerLocal) as
+// { type, x, y, hx, hy, corner }: four corners, four edge midpoints and a
+// rotation handle above the top edge. hx and hy (-1, 0 or 1) tell which
+// sides of the box a handle moves; `corner` indexes state.corners. In
+// distort mode only the corners are offered.
+function layerHandles(layer) {
+  const state = layer.state;
+  const quad = layerQuad(layer);
+  // The quad lists the image's corners, which flips move to other sides
+  const sides = imageCorners(layer.img).map((c) => ({
+    hx: Math.sign(c.x) * (state.flipH ? -1 : 1),
+    hy: Math.sign(c.y) * (state.flipV ? -1 : 1),
+  }));
+  const handles = quad.map((p, i) => ({ type: 'corner', x: p.x, y: p.y, ...sides[i], corner: i }));
+  if (distortMode) return handles;
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    handles.push({
+      type: 'edge',
+      x: (quad[i].x + quad[j].x) / 2,
+      y: (quad[i].y + quad[j].y) / 2,
+      hx: (sides[i].hx + sides[j].hx) / 2,
+      hy: (sides[i].hy + sides[j].hy) / 2,
+    });
+  }
+  const h = layer.img.height * Math.abs(state.scaleY);
+  handles.push({ type: 'rotate', x: 0, y: -h / 2 - ROTATE_HANDLE_OFFSET / view.zoom, hx: 0, hy: 0 });
+  return handles;
+}
+
+// Helper: true if canvas point (x, y) lies on the layer's (possibly
+// distorted) quadrilateral
+function layerContains(layer, x, y) {
+  const local = toLayerLocal(layer, x, y);
+  if (!layer.state.corners) {
+    return Math.abs(local.x) <= local.w / 2 && Math.abs(local.y) <= local.h / 2;
+  }
+  // Even–odd ray casting
+  const quad = layerQuad(layer);
+  let inside = false;
+  for (let i = 0, j = quad.length - 1; i < quad.length; j = i++) {
+    const a = quad[i];
+    const b = quad[j];
+    if ((a.y > local.y) !== (b.y > local.y) &&
+        local.x < ((b.x - a.x) * (local.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Helper: find the front‑most visible layer whose box contains (x, y)
+function hitTestLayers(x, y) {
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    if (layer.visible && layerContains(layer, x, y)) return layer;
+  }
+  return null;
+}
+
+/* Perspective distortion */
+
+// Distort mode makes the corner handles move single corners
+let distortMode = false;
+let distorting = false;
+let distortHandle = -1;
+// Warped images per source image as { corners, canvas, x, y }
+const warpedImages = new WeakMap();
+
+// Helper: the corners (TL, TR, BR, BL) of an image relative to its centre
+function imageCorners(img) {
+  const w = img.width / 2;
+  const h = img.height / 2;
+  return [
+    { x: -w, y: -h },
+    { x: w, y: -h },
+    { x: w, y: h },
+    { x: -w, y: h },
+  ];
+}
+
+// Helper: the projective transform mapping the four points `from` onto
+// `to`, as [a, b, c, d, e, f, g, h] with
+// x' = (a·x + b·y + c) / (g·x + h·y + 1) and y' = (d·x + e·y + f) / (g·x + h·y + 1).
+// Solves the 8×8 linear system by Gaussian elimination.
+function computeHomography(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[r][k] -= factor * rows[col][k];
+    }
+  }
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+// Helper: map a point through a homography from computeHomography
+function applyHomography(m, p) {
+  const w = m[6] * p.x + m[7] * p.y + 1;
+  return {
+    x: (m[0] * p.x + m[1] * p.y + m[2]) / w,
+    y: (m[3] * p.x + m[4] * p.y + m[5]) / w,
+  };
+}
+
+// Helper: true if the quadrilateral is strictly convex, the condition for a
+// perspective warp that does not fold over itself
+function isConvexQuad(points) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % 4];
+    const c = points[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0 || (sign && Math.sign(cross) !== sign)) return false;
+    sign = Math.sign(cross);
+  }
+  return true;
+}
+
+// Helper: warp `source` (an image or canvas) so its corners land on
+// `corners`. Returns the warped canvas and its offset (x, y) relative to the
+// layer centre. Every output pixel is mapped back into the source and
+// sampled bilinearly with premultiplied alpha, so edges do not pick up dark
+// fringes. Results are cached per source image.
+function warpedImage(source, corners) {
+  const cornersKey = JSON.stringify(corners);
+  const cached = warpedImages.get(source);
+  if (cached && cached.corners === cornersKey) return cached;
+  const sw = source.width;
+  const sh = source.height;
+  const srcCanvas = document.createElement('canvas');
+  srcCanvas.width = sw;
+  srcCanvas.height = sh;
+  const srcCtx = srcCanvas.getContext('2d');
+  srcCtx.drawImage(source, 0, 0);
+  const src = srcCtx.getImageData(0, 0, sw, sh).data;
+  const x0 = Math.floor(Math.min(...corners.map((c) => c.x)));
+  const y0 = Math.floor(Math.min(...corners.map((c) => c.y)));
+  const width = Math.max(1, Math.ceil(Math.max(...corners.map((c) => c.x))) - x0);
+  const height = Math.max(1, Math.ceil(Math.max(...corners.map((c) => c.y))) - y0);
+  const canvasOut = document.createElement('canvas');
+  canvasOut.width = width;
+  canvasOut.height = height;
+  const outCtx = canvasOut.getContext('2d');
+  const out = outCtx.createImageData(width, height);
+  const dst = out.data;
+  // Inverse mapping from the distorted quad to source pixel coordinates
+  const m = computeHomography(corners, [
+    { x: 0, y: 0 },
+    { x: sw, y: 0 },
+    { x: sw, y: sh },
+    { x: 0, y: sh },
+  ]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = applyHomography(m, { x: x0 + x + 0.5, y: y0 + y + 0.5 });
+      const fx = p.x - 0.5;
+      const fy = p.y - 0.5;
+      if (fx <= -1 || fy <= -1 || fx >= sw || fy >= sh) continue;
+      const ix = Math.floor(fx);
+      const iy = Math.floor(fy);
+      const tx = fx - ix;
+      const ty = fy - iy;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      // Accumulate the four neighbours; those outside the image are clear
+      for (const [dx, dy, weight] of [
+        [0, 0, (1 - tx) * (1 - ty)],
+        [1, 0, tx * (1 - ty)],
+        [0, 1, (1 - tx) * ty],
+        [1, 1, tx * ty],
+      ]) {
+        const sx = ix + dx;
+        const sy = iy + dy;
+        if (sx < 0 || sy < 0 || sx >= sw || sy >= sh || weight === 0) continue;
+        const i = (sy * sw + sx) * 4;
+        const wa = weight * src[i + 3];
+        r += src[i] * wa;
+        g += src[i + 1] * wa;
+        b += src[i + 2] * wa;
+        a += wa;
+      }
+      if (a === 0) continue;
+      const o = (y * width + x) * 4;
+      dst[o] = r / a;
+      dst[o + 1] = g / a;
+      dst[o + 2] = b / a;
+      dst[o + 3] = a;
+    }
+  }
+  outCtx.putImageData(out, 0, 0);
+  const result = { corners: cornersKey, canvas: canvasOut, x: x0, y: y0 };
+  warpedImages.set(source, result);
+  return result;
+}
+
+// Turn distort mode on or off
+function setDistortMode(active) {
+  distortMode = active;
+  distortBtn.classList.toggle('active', active);
+  drawScene();
+}
+
+distortBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  setDistortMode(!distortMode);
+});
+
+distortResetBtn.addEventListener('click', () => {
+  if (!activeLayer || !activeLayer.state.corners) return;
+  saveState('Reset distortion');
+  activeLayer.state.corners = null;
+  refreshLayerUI();
+  drawScene();
+});
+
+/* Viewport */
+
+// The canvas fills its container and shows the background through a view
+// transform: screen = image * zoom + (x, y), in CSS pixels relative to the
+// canvas. `image` is the background the view was last fitted to.
+const canvasContainer = document.getElementById('canvas-container');
+const zoomFitBtn = document.getElementById('zoom-fit');
+const zoomActualBtn = document.getElementById('zoom-actual');
+const zoomOverlayBtn = document.getElementById('zoom-overlay');
+const zoomLevel = document.getElementById('zoom-level');
+const MIN_ZOOM = 0.02;
+const MAX_ZOOM = 32;
+// Free space kept around the image or overlay when fitting, in CSS pixels
+const VIEW_MARGIN = 16;
+const view = { zoom: 1, x: 0, y: 0, image: null };
+// Panning with space‑drag or middle‑drag
+let spaceHeld = false;
+let panning = null;
+
+// Helper: convert client (screen) coordinates into background image pixels.
+// All pointer handling goes through this so it stays exact at any zoom.
+function screenToImage(clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left - view.x) / view.zoom,
+    y: (clientY - rect.top - view.y) / view.zoom,
+  };
+}
+
+function updateZoomLevel() {
+  zoomLevel.textContent = `${Math.round(view.zoom * 100)}%`;
+}
+
+// Zoom to `zoom`, keeping the image point under canvas position (sx, sy) fixed
+function zoomAt(zoom, sx, sy) {
+  zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+  view.x = sx - ((sx - view.x) * zoom) / view.zoom;
+  view.y = sy - ((sy - view.y) * zoom) / view.zoom;
+  view.zoom = zoom;
+  updateZoomLevel();
+}
+
+// Centre the image rectangle (x, y, w, h) in the view, as large as fits
+function fitViewTo(x, y, w, h) {
+  const cw = canvas.clientWidth;
+  const ch = canvas.clientHeight;
+  const zoom = Math.min((cw - 2 * VIEW_MARGIN) / w, (ch - 2 * VIEW_MARGIN) / h);
+  view.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+  view.x = (cw - w * view.zoom) / 2 - x * view.zoom;
+  view.y = (ch - h * view.zoom) / 2 - y * view.zoom;
+  updateZoomLevel();
+}
+
+// Fit the whole background in the view
+function fitView() {
+  view.image = bgImg;
+  if (bgImg) fitViewTo(0, 0, bgImg.width, bgImg.height);
+}
+
+// Keep the canvas backing store at the container's size in device pixels
+function resizeCanvas() {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(canvasContainer.clientWidth * dpr);
+  canvas.height = Math.round(canvasContainer.clientHeight * dpr);
+  drawScene();
+}
+new ResizeObserver(resizeCanvas).observe(canvasContainer);
+
+// Restore the cursor after panning or leaving a mode
+function updateCanvasCursor() {
+  if (panning) canvas.style.cursor = 'grabbing';
+  else if (eyedropperMode || cropMode || brushMode || occluderMode) canvas.style.cursor = 'crosshair';
+  else if (spaceHeld) canvas.style.cursor = 'grab';
+  else canvas.style.cursor = '';
+}
+
+// Wheel or trackpad pinch zooms around the pointer
+canvas.addEventListener('wheel', (e) => {
+  if (!bgImg) return;
+  e.preventDefault();
+  // Line‑based deltas (classic mouse wheels in some browsers) are much smaller
+  const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+  const rect = canvas.getBoundingClientRect();
+  zoomAt(view.zoom * Math.exp(-delta * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+  drawScene();
+}, { passive: false });
+
+// Holding space turns the canvas into a pan tool
+document.addEventListener('keydown', (e) => {
+  if (e.code !== 'Space' || e.repeat) return;
+  if (e.target.closest('input, select, textarea, button')) return;
+  e.preventDefault();
+  spaceHeld = true;
+  updateCanvasCursor();
+});
+document.addEventListener('keyup', (e) => {
+  if (e.code !== 'Space') return;
+  spaceHeld = false;
+  updateCanvasCursor();
+});
+
+zoomFitBtn.addEventListener('click', () => {
+  fitView();
+  drawScene();
+});
+
+zoomActualBtn.addEventListener('click', () => {
+  zoomAt(1, canvas.clientWidth / 2, canvas.clientHeight / 2);
+  drawScene();
+});
+
+zoomOverlayBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  const corners = layerCorners(activeLayer);
+  const xs = corners.map((c) => c.x);
+  const ys = corners.map((c) => c.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  fitViewTo(minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY);
+  drawScene();
+});
+
 // Helper: draw the current scene onto the canvas
 function drawScene() {
-  if (!bgImg) {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    return;
-  }
-  // Resize canvas to background image size
-  canvas.width = bgImg.width;
-  canvas.height = bgImg.height;
-  // Draw background
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!bgImg) return;
+  // A new background starts out fitted to the view
+  if (view.image !== bgImg) fitView();
+  // Map image pixels to device pixels
+  const dpr = window.devicePixelRatio || 1;
+  const scale = view.zoom * dpr;
+  ctx.setTransform(scale, 0, 0, scale, view.x * dpr, view.y * dpr);
+  // Show crisp pixels when zoomed in for precise placement
+  ctx.imageSmoothingEnabled = view.zoom < 2;
+  // Draw background
   ctx.drawImage(bgImg, 0, 0);
-  // Draw overlay if present
-  if (overlayImg) {
-    const w = overlayImg.width * overlayState.scale;
-    const h = overlayImg.height * overlayState.scale;
-    const cx = overlayState.x + w / 2;
-    const cy = overlayState.y + h / 2;
+  // Parts of overlays past the background edges are shown faintly, since
+  // they won't be in the output
+  if (pastEdgesInput.checked) {
     ctx.save();
-    ctx.translate(cx, cy);
-    ctx.rotate((overlayState.angle * Math.PI) / 180);
-    // Flip via scaling negative axes
-    const sx = overlayState.flipH ? -1 : 1;
-    const sy = overlayState.flipV ? -1 : 1;
-    ctx.scale(sx, sy);
-    ctx.scale(overlayState.scale, overlayState.scale);
-    ctx.drawImage(
-      overlayImg,
-      -overlayImg.width / 2,
-      -overlayImg.height / 2
-    );
+    ctx.beginPath();
+    ctx.rect(-1e6, -1e6, 2e6, 2e6);
+    ctx.rect(0, 0, bgImg.width, bgImg.height);
+    ctx.clip('evenodd');
+    ctx.globalAlpha = 0.35;
+    for (const layer of layers) {
+      if (!layer.visible) continue;
+      drawLayerShadow(ctx, layer);
+      drawLayer(ctx, layer);
+    }
     ctx.restore();
-
-    // Draw bounding box and resize handles for interactive resizing
+  }
+  // Draw overlays from back to front
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, bgImg.width, bgImg.height);
+  ctx.clip();
+  // Each shadow goes under its own layer but over the layers behind it
+  for (const layer of layers) {
+    if (!layer.visible) continue;
+    drawLayerShadow(ctx, layer);
+    drawLayer(ctx, layer);
+  }
+  // Occluded background parts go in front of the overlays
+  drawOccluder(ctx);
+  ctx.restore();
+  // Draw bounding box and resize handles of the selected layer
+  if (activeLayer && activeLayer.visible) {
+    const overlayState = activeLayer.state;
+    const w = activeLayer.img.width * overlayState.scaleX;
+    const h = activeLayer.img.height * overlayState.scaleY;
+    const cx = overlayState.x + w / 2;
+    const cy = overlayState.y + h / 2;
     ctx.save();
     ctx.translate(cx, cy);
     ctx.rotate((overlayState.angle * Math.PI) / 180);
-    // Outline
+    // Outline of the (possibly distorted) overlay
     ctx.strokeStyle = 'rgba(0,0,0,0.5)';
-    ctx.lineWidth = 1;
-    ctx.strokeRect(-w / 2, -h / 2, w, h);
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.beginPath();
+    layerQuad(activeLayer).forEach((c) => ctx.lineTo(c.x, c.y));
+    ctx.closePath();
+    ctx.stroke();
     // Draw handles as small squares (constant size in screen pixels). We don't scale these with overlay scale.
-    const handleSize = 8;
+    const handleSize = 8 / view.zoom;
     const halfHandle = handleSize / 2;
-    const corners = [
-      { x: -w / 2, y: -h / 2 },
-      { x: w / 2, y: -h / 2 },
-      { x: w / 2, y: h / 2 },
-      { x: -w / 2, y: h / 2 }
-    ];
-    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    // Distort handles are blue so the mode is visible
+    ctx.fillStyle = distortMode ? 'rgba(120,180,255,0.9)' : 'rgba(255,255,255,0.8)';
     ctx.strokeStyle = 'rgba(0,0,0,0.7)';
-    ctx.lineWidth = 1;
-    for (const c of corners) {
-      // Draw handle rectangle
+    ctx.lineWidth = 1 / view.zoom;
+    for (const c of layerHandles(activeLayer)) {
       ctx.beginPath();
-      ctx.rect(c.x - halfHandle, c.y - halfHandle, handleSize, handleSize);
+      if (c.type === 'rotate') {
+        // Round handle on a stem from the top edge
+        ctx.moveTo(0, -h / 2);
+        ctx.lineTo(c.x, c.y + halfHandle);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, halfHandle, 0, Math.PI * 2);
+      } else {
+        ctx.rect(c.x - halfHandle, c.y - halfHandle, handleSize, handleSize);
+      }
       ctx.fill();
       ctx.stroke();
     }
@@ -278,10 +1318,10 @@ function drawScene() {
       let sy = Math.min(cropStart.y, cropEnd.y);
       let ey = Math.max(cropStart.y, cropEnd.y);
       // Apply flips for display
-      const dispX1 = (overlayState.flipH ? -ex : sx) * overlayState.scale;
-      const dispX2 = (overlayState.flipH ? -sx : ex) * overlayState.scale;
-      const dispY1 = (overlayState.flipV ? -ey : sy) * overlayState.scale;
-      const dispY2 = (overlayState.flipV ? -sy : ey) * overlayState.scale;
+      const dispX1 = (overlayState.flipH ? -ex : sx) * overlayState.scaleX;
+      const dispX2 = (overlayState.flipH ? -sx : ex) * overlayState.scaleX;
+      const dispY1 = (overlayState.flipV ? -ey : sy) * overlayState.scaleY;
+      const dispY2 = (overlayState.flipV ? -sy : ey) * overlayState.scaleY;
       const rectX = dispX1;
       const rectY = dispY1;
       const rectW = dispX2 - dispX1;
@@ -291,33 +1331,445 @@ function drawScene() {
       ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
       ctx.fillRect(rectX, rectY, rectW, rectH);
       ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([6, 4]);
+      ctx.lineWidth = 1 / view.zoom;
+      ctx.setLineDash([6 / view.zoom, 4 / view.zoom]);
       ctx.strokeRect(rectX, rectY, rectW, rectH);
       ctx.setLineDash([]);
       ctx.restore();
     }
     ctx.restore();
   }
+  // Snap guides while dragging
+  if (snapGuides) {
+    ctx.strokeStyle = 'rgba(255,0,255,0.8)';
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.beginPath();
+    for (const gx of snapGuides.x) {
+      ctx.moveTo(gx, 0);
+      ctx.lineTo(gx, bgImg.height);
+    }
+    for (const gy of snapGuides.y) {
+      ctx.moveTo(0, gy);
+      ctx.lineTo(bgImg.width, gy);
+    }
+    ctx.stroke();
+  }
+  updateTransformPanel();
+  // Outline of the brush under the pointer
+  if (brushMode && brushCursor) {
+    ctx.beginPath();
+    ctx.arc(brushCursor.x, brushCursor.y, brushSizeInput.value / 2, 0, Math.PI * 2);
+    ctx.strokeStyle = brushMode === 'erase' ? 'rgba(255,0,0,0.8)' : 'rgba(0,160,0,0.8)';
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.stroke();
+  }
+}
+
+// Helper: load an image from a URL, resolving once it is decoded
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
 }
 
-// Helper: apply grey key to an Image to produce an RGBA image
-function applyGreyKey(img, callback) {
-  // Create a temporary canvas to read pixel data
+// Helper: build the keyed overlay image from its unkeyed source. `source`
+// holds the raw image, optional matte image, crop rectangle, alpha source and
+// key and refinement settings (a layer has all of these). The crop is
+// applied first, then the alpha channel is taken from the chroma key, the
+// embedded alpha or the matte, the matte is refined and finally brush
+// strokes are applied.
+function processOverlay(source, callback) {
+  const { rawImg, matteImg, paintCanvas, crop, alphaSource, key, refine } = source;
   const tmpCanvas = document.createElement('canvas');
-  tmpCanvas.width = img.width;
-  tmpCanvas.height = img.height;
+  tmpCanvas.width = crop.w;
+  tmpCanvas.height = crop.h;
   const tmpCtx = tmpCanvas.getContext('2d');
-  tmpCtx.drawImage(img, 0, 0);
-  const imageData = tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height);
-  const data = imageData.data;
-  const keyR = 128;
-  const keyG = 128;
-  const keyB = 128;
-  const tol = 22;
-  const ramp = tol < 254 ? 2 : 1;
-  // Precompute ramp lookup table for performance
-  const lut = new Uint8ClampedArray(256);
+  tmpCtx.drawImage(rawImg, -crop.x, -crop.y);
+  const refining = Object.keys(refine).some((name) => refine[name] !== DEFAULT_REFINE_SETTINGS[name]);
+  if (alphaSource !== 'embedded' || refining || paintCanvas) {
+    const imageData = tmpCtx.getImageData(0, 0, crop.w, crop.h);
+    if (alphaSource === 'matte' && matteImg) {
+      applyMatte(imageData.data, matteImg, rawImg, crop);
+    } else if (alphaSource !== 'embedded') {
+      applyChromaKey(imageData.data, key);
+    }
+    if (refining) refineMatte(imageData.data, crop.w, crop.h, refine);
+    if (paintCanvas) applyPaint(imageData.data, paintCanvas, crop);
+    tmpCtx.putImageData(imageData, 0, 0);
+  }
+  const rgbaImg = new Image();
+  rgbaImg.onload = () => callback(rgbaImg);
+  rgbaImg.src = tmpCanvas.toDataURL();
+}
+
+// Helper: replace the alpha of RGBA pixel data with the luminance of a
+// black/white matte. The matte is stretched to the raw overlay size and
+// cropped like the overlay, so mattes of a different resolution still line up.
+function applyMatte(data, matte, raw, crop) {
+  const matteCanvas = document.createElement('canvas');
+  matteCanvas.width = crop.w;
+  matteCanvas.height = crop.h;
+  const matteCtx = matteCanvas.getContext('2d');
+  matteCtx.drawImage(matte, -crop.x, -crop.y, raw.width, raw.height);
+  const m = matteCtx.getImageData(0, 0, crop.w, crop.h).data;
+  for (let i = 0; i < data.length; i += 4) {
+    // Multiply by the matte's own alpha so transparent matte areas stay hidden
+    const lum = 0.299 * m[i] + 0.587 * m[i + 1] + 0.114 * m[i + 2];
+    data[i + 3] = Math.round((lum * m[i + 3]) / 255);
+  }
+}
+
+/* Matte refinement */
+
+// Refine the alpha of RGBA pixel data in place, in this order: remove small
+// specks and holes, choke or spread, feather, then suppress spill in the
+// semi‑transparent edge. `refine` holds the settings (see
+// DEFAULT_REFINE_SETTINGS).
+function refineMatte(data, width, height, refine) {
+  const alpha = new Uint8ClampedArray(width * height);
+  for (let p = 0; p < alpha.length; p++) alpha[p] = data[p * 4 + 3];
+  if (refine.despeckle > 0) removeSpecks(alpha, width, height, refine.despeckle);
+  if (refine.choke > 0) morphAlpha(alpha, width, height, refine.choke, Math.min);
+  if (refine.choke < 0) morphAlpha(alpha, width, height, -refine.choke, Math.max);
+  // Three box blurs approximate a Gaussian
+  for (let pass = 0; pass < 3 && refine.feather > 0; pass++) {
+    boxBlurAlpha(alpha, width, height, Math.max(1, Math.round(refine.feather / 2)));
+  }
+  for (let p = 0; p < alpha.length; p++) data[p * 4 + 3] = alpha[p];
+  if (refine.spill > 0) suppressSpill(data, width, height, refine.spill / 100);
+}
+
+// Helper: clear foreground islands and fill background holes of at most
+// `maxArea` pixels. Regions are 4‑connected areas of the alpha thresholded
+// at 128; background regions touching the border are never holes.
+function removeSpecks(alpha, width, height, maxArea) {
+  const visited = new Uint8Array(alpha.length);
+  const stack = new Int32Array(alpha.length);
+  const region = [];
+  for (let start = 0; start < alpha.length; start++) {
+    if (visited[start]) continue;
+    const foreground = alpha[start] >= 128;
+    let top = 0;
+    let touchesBorder = false;
+    region.length = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+    while (top > 0) {
+      const p = stack[--top];
+      region.push(p);
+      const x = p % width;
+      const y = (p - x) / width;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+      const neighbours = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1,
+      ];
+      for (const q of neighbours) {
+        if (q < 0 || visited[q] || (alpha[q] >= 128) !== foreground) continue;
+        visited[q] = 1;
+        stack[top++] = q;
+      }
+    }
+    if (region.length > maxArea || (!foreground && touchesBorder)) continue;
+    for (const p of region) alpha[p] = foreground ? 0 : 255;
+  }
+}
+
+// Helper: grey‑level erosion (op = Math.min) or dilation (op = Math.max)
+// with a square of the given radius, as two separable passes
+function morphAlpha(alpha, width, height, radius, op) {
+  const tmp = new Uint8ClampedArray(alpha.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = alpha[y * width + x];
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+        v = op(v, alpha[y * width + k]);
+      }
+      tmp[y * width + x] = v;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = tmp[y * width + x];
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+        v = op(v, tmp[k * width + x]);
+      }
+      alpha[y * width + x] = v;
+    }
+  }
+}
+
+// Helper: box blur of the alpha with the given radius, horizontally then
+// vertically, using running sums. Pixels beyond the edge count as clear.
+function boxBlurAlpha(alpha, width, height, radius) {
+  const size = 2 * radius + 1;
+  const tmp = new Float32Array(alpha.length);
+  for (let y = 0; y < height; y++) {
+    let sum = 0;
+    for (let k = 0; k < radius && k < width; k++) sum += alpha[y * width + k];
+    for (let x = 0; x < width; x++) {
+      if (x + radius < width) sum += alpha[y * width + x + radius];
+      if (x - radius - 1 >= 0) sum -= alpha[y * width + x - radius - 1];
+      tmp[y * width + x] = sum / size;
+    }
+  }
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let k = 0; k < radius && k < height; k++) sum += tmp[k * width + x];
+    for (let y = 0; y < height; y++) {
+      if (y + radius < height) sum += tmp[(y + radius) * width + x];
+      if (y - radius - 1 >= 0) sum -= tmp[(y - radius - 1) * width + x];
+      alpha[y * width + x] = Math.round(sum / size);
+    }
+  }
+}
+
+// Helper: pull the colour of partly transparent pixels toward the colour of
+// the nearest fully opaque (interior) pixel, which is found by flooding
+// interior colours outward through the matte. The pull grows with
+// transparency and is scaled by `strength` (0..1).
+function suppressSpill(data, width, height, strength) {
+  const count = width * height;
+  const source = new Int32Array(count).fill(-1);
+  const queue = new Int32Array(count);
+  let head = 0;
+  let tail = 0;
+  for (let p = 0; p < count; p++) {
+    if (data[p * 4 + 3] === 255) {
+      source[p] = p;
+      queue[tail++] = p;
+    }
+  }
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    const neighbours = [
+      x > 0 ? p - 1 : -1,
+      x < width - 1 ? p + 1 : -1,
+      p >= width ? p - width : -1,
+      p + width < count ? p + width : -1,
+    ];
+    for (const q of neighbours) {
+      if (q < 0 || source[q] >= 0 || data[q * 4 + 3] === 0) continue;
+      source[q] = source[p];
+      queue[tail++] = q;
+    }
+  }
+  for (let p = 0; p < count; p++) {
+    const a = data[p * 4 + 3];
+    if (a === 0 || a === 255 || source[p] < 0) continue;
+    const t = strength * (1 - a / 255);
+    const s = source[p] * 4;
+    for (let c = 0; c < 3; c++) {
+      data[p * 4 + c] = Math.round(data[p * 4 + c] + (data[s + c] - data[p * 4 + c]) * t);
+    }
+  }
+}
+
+// Reflect the selected layer's refinement settings in the refinement panel
+function updateRefinePanel() {
+  const refine = activeLayer ? activeLayer.refine : DEFAULT_REFINE_SETTINGS;
+  for (const [name, input] of Object.entries(refineInputs)) {
+    input.value = refine[name];
+    refineValues[name].textContent = refine[name];
+  }
+}
+
+// Apply a change to the selected layer's refinement settings and re‑key it
+// for a live preview. The first change of a slider gesture records the undo
+// step.
+function changeRefineSettings(changes) {
+  if (!activeLayer) return;
+  if (!refineEditActive) {
+    saveState('Refine matte');
+    refineEditActive = true;
+  }
+  activeLayer.refine = { ...activeLayer.refine, ...changes };
+  updateRefinePanel();
+  rekeyOverlay(activeLayer);
+}
+
+// Refinement panel events
+for (const [name, input] of Object.entries(refineInputs)) {
+  input.addEventListener('input', () => {
+    changeRefineSettings({ [name]: parseInt(input.value, 10) || 0 });
+  });
+  input.addEventListener('change', () => {
+    refineEditActive = false;
+  });
+}
+refineResetBtn.addEventListener('click', () => {
+  changeRefineSettings({ ...DEFAULT_REFINE_SETTINGS });
+  refineEditActive = false;
+});
+updateRefinePanel();
+
+/* Alpha brush */
+
+// Helper: a new canvas holding a copy of an image or canvas
+function copyToCanvas(source) {
+  const copy = document.createElement('canvas');
+  copy.width = source.width;
+  copy.height = source.height;
+  copy.getContext('2d').drawImage(source, 0, 0);
+  return copy;
+}
+
+// Helper: apply brush strokes to the alpha of cropped RGBA pixel data in
+// place. The paint canvas covers the unkeyed overlay; its alpha is how
+// strongly a pixel is overridden and its red channel the target alpha
+// (black erases, white restores).
+function applyPaint(data, paintCanvas, crop) {
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = crop.w;
+  tmpCanvas.height = crop.h;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.drawImage(paintCanvas, -crop.x, -crop.y);
+  const paint = tmpCtx.getImageData(0, 0, crop.w, crop.h).data;
+  for (let i = 0; i < data.length; i += 4) {
+    const amount = paint[i + 3] / 255;
+    if (amount === 0) continue;
+    data[i + 3] = Math.round(data[i + 3] + (paint[i] - data[i + 3]) * amount);
+  }
+}
+
+// Turn a brush on ('erase' or 'restore') or off (null)
+function setBrushMode(mode) {
+  brushMode = mode;
+  brushStroke = null;
+  if (mode) {
+    setEyedropperMode(false);
+    setOccluderMode(null);
+    if (cropMode) resetCropMode();
+  }
+  brushEraseBtn.classList.toggle('active', mode === 'erase');
+  brushRestoreBtn.classList.toggle('active', mode === 'restore');
+  updateCanvasCursor();
+  drawScene();
+}
+
+// Begin a brush stroke on `layer` at canvas point (x, y). The stroke is
+// drawn at full strength into its own canvas and laid over the strokes made
+// before it with the brush opacity, so overlapping dabs within one stroke do
+// not build up beyond that opacity.
+function startBrushStroke(layer, x, y) {
+  // Strokes so far stay untouched in `base` for the undo history; the layer
+  // gets a new canvas with them plus this stroke
+  const base = layer.paintCanvas;
+  layer.paintCanvas = document.createElement('canvas');
+  layer.paintCanvas.width = layer.rawImg.width;
+  layer.paintCanvas.height = layer.rawImg.height;
+  const stroke = document.createElement('canvas');
+  stroke.width = layer.paintCanvas.width;
+  stroke.height = layer.paintCanvas.height;
+  brushStroke = { layer, base, stroke, last: null };
+  continueBrushStroke(x, y);
+}
+
+// Extend the current stroke to canvas point (x, y) with evenly spaced dabs
+function continueBrushStroke(x, y) {
+  const { layer, base, stroke, last } = brushStroke;
+  const { u, v } = toOverlayPixel(layer, x, y);
+  const point = { x: u + layer.crop.x, y: v + layer.crop.y };
+  // The brush size is given in background pixels; with non‑uniform scaling
+  // the mean of the two scales is used
+  const meanScale = Math.sqrt(Math.abs(layer.state.scaleX * layer.state.scaleY));
+  const radius = Math.max(0.5, brushSizeInput.value / 2 / meanScale);
+  const hardness = brushHardnessInput.value / 100;
+  const colour = brushMode === 'erase' ? '0,0,0' : '255,255,255';
+  const strokeCtx = stroke.getContext('2d');
+  const from = last || point;
+  const distance = Math.hypot(point.x - from.x, point.y - from.y);
+  const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 4)));
+  for (let i = last ? 1 : 0; i <= steps; i++) {
+    const t = i / steps;
+    stampBrush(strokeCtx, from.x + (point.x - from.x) * t, from.y + (point.y - from.y) * t, radius, hardness, colour);
+  }
+  brushStroke.last = point;
+  const paintCtx = layer.paintCanvas.getContext('2d');
+  paintCtx.clearRect(0, 0, stroke.width, stroke.height);
+  if (base) paintCtx.drawImage(base, 0, 0);
+  paintCtx.globalAlpha = brushOpacityInput.value / 100;
+  paintCtx.drawImage(stroke, 0, 0);
+  paintCtx.globalAlpha = 1;
+  // Re‑key at most once per frame while painting
+  if (!brushRekeyPending) {
+    brushRekeyPending = true;
+    requestAnimationFrame(() => {
+      brushRekeyPending = false;
+      rekeyOverlay(layer);
+    });
+  }
+}
+
+// Helper: draw one round brush dab. The dab is solid out to
+// hardness × radius and fades to nothing at the radius.
+function stampBrush(context, x, y, radius, hardness, colour) {
+  const gradient = context.createRadialGradient(x, y, radius * Math.min(hardness, 0.99), x, y, radius);
+  gradient.addColorStop(0, `rgba(${colour},1)`);
+  gradient.addColorStop(1, `rgba(${colour},0)`);
+  context.fillStyle = gradient;
+  context.beginPath();
+  context.arc(x, y, radius, 0, Math.PI * 2);
+  context.fill();
+}
+
+// Brush panel events
+brushEraseBtn.addEventListener('click', () => {
+  setBrushMode(brushMode === 'erase' ? null : 'erase');
+});
+brushRestoreBtn.addEventListener('click', () => {
+  setBrushMode(brushMode === 'restore' ? null : 'restore');
+});
+for (const [input, display] of [
+  [brushSizeInput, brushSizeValue],
+  [brushHardnessInput, brushHardnessValue],
+  [brushOpacityInput, brushOpacityValue],
+]) {
+  input.addEventListener('input', () => {
+    display.textContent = input.value;
+  });
+}
+brushClearBtn.addEventListener('click', () => {
+  if (!activeLayer || !activeLayer.paintCanvas) return;
+  saveState('Clear brush strokes');
+  activeLayer.paintCanvas = null;
+  brushClearBtn.disabled = true;
+  rekeyOverlay(activeLayer);
+});
+
+// Helper: true if an image has at least one pixel that is not fully opaque
+function imageHasAlpha(img) {
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = img.width;
+  tmpCanvas.height = img.height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.drawImage(img, 0, 0);
+  const data = tmpCtx.getImageData(0, 0, img.width, img.height).data;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+// Helper: apply a chroma key to RGBA pixel data in place. The key colour,
+// tolerance, softness and metric come from `settings` (see
+// DEFAULT_KEY_SETTINGS). Pixels closer to the key colour than the tolerance
+// become transparent; the alpha then ramps up to opaque over `softness`
+// distance units.
+function applyChromaKey(data, settings) {
+  const keyR = settings.r;
+  const keyG = settings.g;
+  const keyB = settings.b;
+  const tol = settings.tolerance;
+  const ramp = Math.max(1, settings.softness);
+  // Precompute ramp lookup table for performance
+  const lut = new Uint8ClampedArray(256);
   for (let d = 0; d < 256; d++) {
     let a;
     if (d <= tol) {
@@ -329,506 +1781,3594 @@ function applyGreyKey(img, callback) {
     }
     lut[d] = a;
   }
+  if (settings.metric === 'ycbcr') {
+    const key = rgbToYCbCr(keyR, keyG, keyB);
+    for (let i = 0; i < data.length; i += 4) {
+      const p = rgbToYCbCr(data[i], data[i + 1], data[i + 2]);
+      // Chroma differences dominate; luma is down‑weighted so shading on the
+      // backdrop does not break the key but black/white are still kept.
+      const dy = (p.y - key.y) * 0.5;
+      const dcb = p.cb - key.cb;
+      const dcr = p.cr - key.cr;
+      const dist = Math.min(255, Math.round(Math.sqrt(dy * dy + dcb * dcb + dcr * dcr)));
+      data[i + 3] = lut[dist];
+    }
+  } else {
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const dr = Math.abs(r - keyR);
+      const dg = Math.abs(g - keyG);
+      const db = Math.abs(b - keyB);
+      const maxDiff = Math.max(dr, Math.max(dg, db));
+      data[i + 3] = lut[maxDiff];
+    }
+  }
+}
+
+// Convert an RGB triple to full‑range BT.601 YCbCr
+function rgbToYCbCr(r, g, b) {
+  return {
+    y: 0.299 * r + 0.587 * g + 0.114 * b,
+    cb: 128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+    cr: 128 + 0.5 * r - 0.418688 * g - 0.081312 * b,
+  };
+}
+
+// Read a JSON value from localStorage, falling back to `fallback`
+function loadStoredJson(storageKey, fallback) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey));
+    if (stored !== null) return stored;
+  } catch (err) {
+    console.warn(`Ignoring invalid stored value for ${storageKey}`, err);
+  }
+  return fallback;
+}
+
+// Write a JSON value to localStorage; storage may be full or disabled
+function storeJson(storageKey, value) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not store ${storageKey}`, err);
+  }
+}
+
+// Reflect the selected layer's key settings (or the remembered defaults) in
+// the keying panel controls
+function updateKeyPanel() {
+  const key = activeLayer ? activeLayer.key : keySettings;
+  keyToleranceInput.value = key.tolerance;
+  keyToleranceValue.textContent = key.tolerance;
+  keySoftnessInput.value = key.softness;
+  keySoftnessValue.textContent = key.softness;
+  keyMetricSelect.value = key.metric;
+  keySwatch.style.background = `rgb(${key.r}, ${key.g}, ${key.b})`;
+  keySwatch.title = `Key colour: ${key.r}, ${key.g}, ${key.b}`;
+}
+
+// Reflect the selected layer's alpha source in the keying panel. The
+// embedded and matte options are only offered when the overlay has an alpha
+// channel or a matte has been loaded; key controls are disabled when they
+// have no effect.
+function updateAlphaSourceControls() {
+  const layer = activeLayer;
+  alphaSourceSelect.value = layer.alphaSource;
+  alphaSourceSelect.querySelector('option[value="embedded"]').disabled = !layer.hasAlpha;
+  alphaSourceSelect.querySelector('option[value="matte"]').disabled = !layer.matteImg;
+  const keyed = layer.alphaSource === 'key';
+  for (const el of [eyedropperBtn, keyToleranceInput, keySoftnessInput, keyMetricSelect, keyResetBtn]) {
+    el.disabled = !keyed;
+  }
+  if (layer.matteImg) {
+    alphaStatus.textContent = 'Matte loaded';
+  } else if (layer.hasAlpha) {
+    alphaStatus.textContent = 'Embedded alpha detected';
+  } else {
+    alphaStatus.textContent = '';
+  }
+}
+
+// Re‑key a layer from its unkeyed source with its current settings and
+// redraw. Used for the live preview while the keying controls are edited.
+function rekeyOverlay(layer) {
+  const token = (rekeyTokens.get(layer) || 0) + 1;
+  rekeyTokens.set(layer, token);
+  processOverlay(layer, (rgbaImg) => {
+    // A newer re‑key of this layer was started or it was removed meanwhile
+    if (token !== rekeyTokens.get(layer) || !layers.includes(layer)) return;
+    layer.img = rgbaImg;
+    layer.originalImg = rgbaImg;
+    drawScene();
+  });
+}
+
+// Apply a change to the selected layer's key settings from the keying
+// panel. The first change of a slider gesture records an undo step; the
+// gesture ends on 'change'.
+function changeKeySettings(changes) {
+  if (!activeLayer) return;
+  if (!keyEditActive) {
+    saveState('Key settings');
+    keyEditActive = true;
+  }
+  activeLayer.key = { ...activeLayer.key, ...changes };
+  keySettings = { ...activeLayer.key };
+  storeJson(KEY_SETTINGS_STORAGE_KEY, keySettings);
+  updateKeyPanel();
+  rekeyOverlay(activeLayer);
+}
+
+// Sample a layer's unkeyed overlay around (u, v) in cropped overlay pixel
+// coordinates. A 3×3 average is used so that sensor noise does not skew the
+// key colour.
+function sampleRawOverlay(layer, u, v) {
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = layer.rawImg.width;
+  tmpCanvas.height = layer.rawImg.height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.drawImage(layer.rawImg, 0, 0);
+  const x0 = Math.max(0, Math.min(tmpCanvas.width - 3, Math.floor(u + layer.crop.x) - 1));
+  const y0 = Math.max(0, Math.min(tmpCanvas.height - 3, Math.floor(v + layer.crop.y) - 1));
+  const data = tmpCtx.getImageData(x0, y0, 3, 3).data;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  const n = data.length / 4;
   for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    const dr = Math.abs(r - keyR);
-    const dg = Math.abs(g - keyG);
-    const db = Math.abs(b - keyB);
-    const maxDiff = Math.max(dr, Math.max(dg, db));
-    data[i + 3] = lut[maxDiff];
+    r += data[i];
+    g += data[i + 1];
+    b += data[i + 2];
   }
-  tmpCtx.putImageData(imageData, 0, 0);
-  const rgbaImg = new Image();
-  rgbaImg.onload = () => callback(rgbaImg);
-  rgbaImg.src = tmpCanvas.toDataURL();
+  return { r: Math.round(r / n), g: Math.round(g / n), b: Math.round(b / n) };
 }
 
-// Event: load background
-bgInput.addEventListener('change', (e) => {
+// Turn eyedropper mode on or off and update the button label
+function setEyedropperMode(active) {
+  eyedropperMode = active;
+  eyedropperBtn.classList.toggle('active', active);
+  eyedropperBtn.textContent = active ? 'Cancel Pick' : 'Pick Key Colour';
+  updateCanvasCursor();
+}
+
+// Keying panel events
+eyedropperBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  if (!eyedropperMode) {
+    setBrushMode(null);
+    setOccluderMode(null);
+  }
+  setEyedropperMode(!eyedropperMode);
+});
+keyToleranceInput.addEventListener('input', () => {
+  changeKeySettings({ tolerance: parseInt(keyToleranceInput.value, 10) || 0 });
+});
+keySoftnessInput.addEventListener('input', () => {
+  changeKeySettings({ softness: parseInt(keySoftnessInput.value, 10) || 1 });
+});
+keyMetricSelect.addEventListener('input', () => {
+  changeKeySettings({ metric: keyMetricSelect.value });
+});
+for (const input of [keyToleranceInput, keySoftnessInput, keyMetricSelect]) {
+  input.addEventListener('change', () => {
+    keyEditActive = false;
+  });
+}
+keyResetBtn.addEventListener('click', () => {
+  changeKeySettings({ ...DEFAULT_KEY_SETTINGS });
+  keyEditActive = false;
+});
+alphaSourceSelect.addEventListener('change', () => {
+  if (!activeLayer) return;
+  saveState('Alpha source');
+  activeLayer.alphaSource = alphaSourceSelect.value;
+  updateAlphaSourceControls();
+  rekeyOverlay(activeLayer);
+});
+updateKeyPanel();
+
+// Event: load a black/white matte that becomes the selected overlay's alpha
+matteInput.addEventListener('change', (e) => {
   const file = e.target.files[0];
-  if (!file) return;
-  const img = new Image();
-  img.onload = () => {
-    bgImg = img;
-    // Reset save counter
-    saveCounter = 0;
-    drawScene();
-    // If overlay exists but is larger than new background, resize overlay
-    if (overlayImg) {
-      // Fit overlay within background bounds
-      const maxW = bgImg.width;
-      const maxH = bgImg.height;
-      const ovW = overlayImg.width;
-      const ovH = overlayImg.height;
-      const scaleX = maxW / ovW;
-      const scaleY = maxH / ovH;
-      const maxScale = Math.min(scaleX, scaleY, 1);
-      overlayState.scale = maxScale;
-      // Clamp overlay position
-      overlayState.x = Math.min(overlayState.x, bgImg.width - ovW * overlayState.scale);
-      overlayState.y = Math.min(overlayState.y, bgImg.height - ovH * overlayState.scale);
-    }
-    controls.style.display = 'flex';
-    saveBtn.disabled = !overlayImg;
-    setOutputBtn.disabled = false;
+  // Allow re‑selecting the same file later
+  matteInput.value = '';
+  const layer = activeLayer;
+  if (!file || !layer) return;
+  const matteImg = new Image();
+  matteImg.onload = () => {
+    saveState('Load matte');
+    layer.matteImg = matteImg;
+    layer.matteSource = describeSourceFile(file);
+    layer.alphaSource = 'matte';
+    updateAlphaSourceControls();
+    rekeyOverlay(layer);
   };
-  img.src = URL.createObjectURL(file);
+  matteImg.src = URL.createObjectURL(file);
 });
 
-// Event: load overlay
-overlayInput.addEventListener('change', (e) => {
+/* Occluders */
+
+// Make `mask` the current background's occluder mask (null for none)
+function setOccluderMask(mask) {
+  occluderMask = mask;
+  occluderView = null;
+  if (bgFile) occluderMasks.set(bgFile, mask);
+  occluderClearBtn.disabled = !mask;
+}
+
+// Helper: the background pixels covered by an occluder mask, as a
+// width×height canvas to draw over the overlays
+function renderOccluder(background, mask, width, height) {
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const outCtx = out.getContext('2d');
+  outCtx.drawImage(mask, 0, 0, width, height);
+  outCtx.globalCompositeOperation = 'source-in';
+  outCtx.drawImage(background, 0, 0, width, height);
+  return out;
+}
+
+// Helper: the occluder for the editor: the covered background pixels and,
+// while an occluder tool is active, a tint showing the mask
+function occluderViewImages() {
+  if (!occluderView) {
+    const tint = copyToCanvas(occluderMask);
+    const tintCtx = tint.getContext('2d');
+    tintCtx.globalCompositeOperation = 'source-in';
+    tintCtx.fillStyle = 'rgba(255,0,160,0.4)';
+    tintCtx.fillRect(0, 0, tint.width, tint.height);
+    occluderView = { pixels: renderOccluder(bgImg, occluderMask, bgImg.width, bgImg.height), tint };
+  }
+  return occluderView;
+}
+
+// Draw the occluder and the occluder tools onto the editor canvas, which is
+// already transformed to background pixels
+function drawOccluder(context) {
+  if (occluderMask) {
+    const { pixels, tint } = occluderViewImages();
+    context.drawImage(pixels, 0, 0);
+    if (occluderMode) context.drawImage(tint, 0, 0);
+  }
+  if (occluderMode === 'polygon' && occluderPolygon.length > 0) {
+    context.beginPath();
+    occluderPolygon.forEach((p) => context.lineTo(p.x, p.y));
+    if (occluderCursor) context.lineTo(occluderCursor.x, occluderCursor.y);
+    context.strokeStyle = 'rgba(255,0,160,0.9)';
+    context.lineWidth = 1 / view.zoom;
+    context.stroke();
+    // The first corner closes the polygon when clicked
+    const first = occluderPolygon[0];
+    context.strokeRect(first.x - 4 / view.zoom, first.y - 4 / view.zoom, 8 / view.zoom, 8 / view.zoom);
+  } else if (occluderMode && occluderCursor) {
+    context.beginPath();
+    context.arc(occluderCursor.x, occluderCursor.y, occluderSizeInput.value / 2, 0, Math.PI * 2);
+    context.strokeStyle = occluderMode === 'erase' ? 'rgba(255,0,0,0.8)' : 'rgba(255,0,160,0.8)';
+    context.lineWidth = 1 / view.zoom;
+    context.stroke();
+  }
+}
+
+// Turn an occluder tool on ('paint', 'erase' or 'polygon') or off (null)
+function setOccluderMode(mode) {
+  occluderMode = mode;
+  occluderStroke = null;
+  occluderPolygon = [];
+  if (mode) {
+    setBrushMode(null);
+    setEyedropperMode(false);
+    if (cropMode) resetCropMode();
+  }
+  occluderPaintBtn.classList.toggle('active', mode === 'paint');
+  occluderEraseBtn.classList.toggle('active', mode === 'erase');
+  occluderPolygonBtn.classList.toggle('active', mode === 'polygon');
+  updateCanvasCursor();
+  drawScene();
+}
+
+// Helper: a new mask canvas for the current background holding the
+// current mask, so the previous one stays unchanged for the undo history
+function copyOccluderMask() {
+  if (occluderMask) return copyToCanvas(occluderMask);
+  const mask = document.createElement('canvas');
+  mask.width = bgImg.width;
+  mask.height = bgImg.height;
+  return mask;
+}
+
+// Begin painting or erasing occluder coverage at background point (x, y)
+function startOccluderStroke(x, y) {
+  saveState(occluderMode === 'erase' ? 'Erase occluder' : 'Paint occluder');
+  setOccluderMask(copyOccluderMask());
+  occluderStroke = { last: null };
+  continueOccluderStroke(x, y);
+}
+
+// Extend the occluder stroke to (x, y) with evenly spaced dabs
+function continueOccluderStroke(x, y) {
+  const maskCtx = occluderMask.getContext('2d');
+  const radius = Math.max(0.5, occluderSizeInput.value / 2);
+  const from = occluderStroke.last || { x, y };
+  const distance = Math.hypot(x - from.x, y - from.y);
+  const steps = Math.max(1, Math.ceil(distance / Math.max(1, radius / 4)));
+  maskCtx.globalCompositeOperation = occluderMode === 'erase' ? 'destination-out' : 'source-over';
+  for (let i = occluderStroke.last ? 1 : 0; i <= steps; i++) {
+    const t = i / steps;
+    stampBrush(maskCtx, from.x + (x - from.x) * t, from.y + (y - from.y) * t, radius, 0.9, '0,0,0');
+  }
+  maskCtx.globalCompositeOperation = 'source-over';
+  occluderStroke.last = { x, y };
+  occluderView = null;
+}
+
+// Add a polygon corner at (x, y); clicking near the first corner closes it
+function addOccluderPolygonPoint(x, y) {
+  const first = occluderPolygon[0];
+  if (occluderPolygon.length >= 3 && Math.hypot(x - first.x, y - first.y) <= 8 / view.zoom) {
+    closeOccluderPolygon();
+    return;
+  }
+  occluderPolygon.push({ x, y });
+  drawScene();
+}
+
+// Fill the polygon drawn so far into the occluder mask
+function closeOccluderPolygon() {
+  const points = occluderPolygon;
+  occluderPolygon = [];
+  if (points.length >= 3) {
+    saveState('Occluder polygon');
+    const mask = copyOccluderMask();
+    const maskCtx = mask.getContext('2d');
+    maskCtx.beginPath();
+    points.forEach((p) => maskCtx.lineTo(p.x, p.y));
+    maskCtx.closePath();
+    maskCtx.fillStyle = '#000';
+    maskCtx.fill();
+    setOccluderMask(mask);
+  }
+  drawScene();
+}
+
+// Helper: an occluder mask for a width×height background from a mask
+// image, white where the background is in front. The image is stretched to
+// the background size.
+function occluderFromImage(img, width, height) {
+  const mask = document.createElement('canvas');
+  mask.width = width;
+  mask.height = height;
+  const maskCtx = mask.getContext('2d');
+  maskCtx.drawImage(img, 0, 0, width, height);
+  const imageData = maskCtx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    data[i + 3] = Math.round((lum * data[i + 3]) / 255);
+    data[i] = 0;
+    data[i + 1] = 0;
+    data[i + 2] = 0;
+  }
+  maskCtx.putImageData(imageData, 0, 0);
+  return mask;
+}
+
+// Occluder panel events
+occluderPaintBtn.addEventListener('click', () => {
+  setOccluderMode(occluderMode === 'paint' ? null : 'paint');
+});
+occluderEraseBtn.addEventListener('click', () => {
+  setOccluderMode(occluderMode === 'erase' ? null : 'erase');
+});
+occluderPolygonBtn.addEventListener('click', () => {
+  setOccluderMode(occluderMode === 'polygon' ? null : 'polygon');
+});
+occluderSizeInput.addEventListener('input', () => {
+  occluderSizeValue.textContent = occluderSizeInput.value;
+});
+occluderInput.addEventListener('change', (e) => {
   const file = e.target.files[0];
+  // Allow re‑selecting the same file later
+  occluderInput.value = '';
   if (!file || !bgImg) return;
-  const rawImg = new Image();
-  rawImg.onload = () => {
-    // Apply grey key to convert to RGBA with transparency
-    applyGreyKey(rawImg, (rgbaImg) => {
-      overlayImg = rgbaImg;
-      overlayOriginalImg = rgbaImg; // Save untransformed for overlay-only output
-      // Compute initial scale: fit overlay into background if larger
-      const maxW = bgImg.width;
-      const maxH = bgImg.height;
-      const ovW = overlayImg.width;
-      const ovH = overlayImg.height;
-      const scaleX = maxW / ovW;
-      const scaleY = maxH / ovH;
-      const maxScale = Math.min(scaleX, scaleY, 1);
-      overlayState.scale = maxScale;
-      overlayState.angle = 0;
-      overlayState.flipH = false;
-      overlayState.flipV = false;
-      // Place overlay near top-left with small margin
-      overlayState.x = Math.min(20, maxW - ovW * overlayState.scale);
-      overlayState.y = Math.min(20, maxH - ovH * overlayState.scale);
-      saveBtn.disabled = false;
-      removeOverlayBtn.disabled = false;
-      angleInput.value = 0;
-      // Enable crop functionality now that an overlay is loaded
-      cropBtn.disabled = false;
-      // Reset cropping state and button label
-      cropMode = false;
-      cropping = false;
-      cropStart = null;
-      cropEnd = null;
-      cropBtn.textContent = 'Crop';
-      drawScene();
-      // Reset undo/redo stacks and save the initial state for undo
-      undoStack.length = 0;
-      redoStack.length = 0;
-      saveState();
-    });
-  };
-  rawImg.src = URL.createObjectURL(file);
+  const background = bgImg;
+  loadImage(URL.createObjectURL(file)).then((img) => {
+    URL.revokeObjectURL(img.src);
+    if (bgImg !== background) return;
+    saveState('Load occluder mask');
+    setOccluderMask(occluderFromImage(img, bgImg.width, bgImg.height));
+    drawScene();
+  }).catch((err) => {
+    console.error('Could not load occluder mask', err);
+    alert('Could not load the occluder mask image');
+  });
 });
-
-// Remove overlay
-removeOverlayBtn.addEventListener('click', () => {
-  overlayImg = null;
-  overlayOriginalImg = null;
-  saveBtn.disabled = true;
-  removeOverlayBtn.disabled = true;
-  // Disable crop functionality when overlay is removed
-  cropBtn.disabled = true;
-  cropMode = false;
-  cropping = false;
-  cropStart = null;
-  cropEnd = null;
-  cropBtn.textContent = 'Crop';
+occluderClearBtn.addEventListener('click', () => {
+  if (!occluderMask) return;
+  saveState('Clear occluder');
+  setOccluderMask(null);
   drawScene();
-  // Clear undo/redo stacks when overlay is removed
-  undoStack.length = 0;
-  redoStack.length = 0;
-  updateUndoRedoButtons();
+});
+canvas.addEventListener('dblclick', () => {
+  if (occluderMode === 'polygon') closeOccluderPolygon();
+});
+// Enter closes the polygon being drawn and Escape discards it
+document.addEventListener('keydown', (e) => {
+  if (occluderMode !== 'polygon' || occluderPolygon.length === 0) return;
+  if (e.target.closest('input, select, textarea')) return;
+  if (e.key === 'Enter') {
+    closeOccluderPolygon();
+  } else if (e.key === 'Escape') {
+    occluderPolygon = [];
+    drawScene();
+  } else {
+    return;
+  }
+  e.preventDefault();
+  e.stopImmediatePropagation();
 });
 
-// Set output directory using File System Access API
-setOutputBtn.addEventListener('click', async () => {
-  try {
-    // Prompt user to select a directory. Requires secure context (https) in most browsers.
-    const dirHandle = await window.showDirectoryPicker();
-    outputDirHandle = dirHandle;
-    outputStatus.textContent = `Output: ${dirHandle.name || 'selected'}`;
-  } catch (err) {
-    // User cancelled or API unavailable
-    console.error('Directory selection cancelled or not supported', err);
+/* Colour adjustments */
+
+// Adjusted images per layer as { img, settings, canvas }, rebuilt when the
+// keyed image or the adjustments change
+const adjustedImages = new WeakMap();
+
+// Helper: the layer's keyed image with its colour adjustments applied.
+// Opacity is left to drawLayer.
+function adjustedLayerImage(layer) {
+  const colourNames = Object.keys(DEFAULT_ADJUSTMENTS).filter((name) => name !== 'opacity');
+  if (colourNames.every((name) => layer.adjust[name] === DEFAULT_ADJUSTMENTS[name])) {
+    return layer.img;
+  }
+  const settings = JSON.stringify(colourNames.map((name) => layer.adjust[name]));
+  const cached = adjustedImages.get(layer);
+  if (cached && cached.img === layer.img && cached.settings === settings) return cached.canvas;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = layer.img.width;
+  tmpCanvas.height = layer.img.height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.drawImage(layer.img, 0, 0);
+  const imageData = tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height);
+  applyAdjustments(imageData.data, layer.adjust);
+  tmpCtx.putImageData(imageData, 0, 0);
+  adjustedImages.set(layer, { img: layer.img, settings, canvas: tmpCanvas });
+  return tmpCanvas;
+}
+
+// Helper: multiply two 3×3 colour matrices given as row‑major arrays
+function multiplyColorMatrices(a, b) {
+  const out = new Array(9);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      out[row * 3 + col] =
+        a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+    }
+  }
+  return out;
+}
+
+// Apply colour adjustments in place to RGBA pixel data. Temperature,
+// brightness and contrast act per channel; saturation and hue use the same
+// luminance‑preserving matrices as the CSS saturate() and hue‑rotate()
+// filters; gamma is applied last. Alpha is left untouched.
+function applyAdjustments(data, adjust) {
+  const contrast = 1 + adjust.contrast / 100;
+  const warmth = (adjust.temperature / 100) * 0.1;
+  const offsets = [warmth, 0, -warmth];
+  // Per channel lookup of the linear part, in 0..1 units
+  const pre = offsets.map((offset) => {
+    const lut = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      lut[v] = (v / 255 + offset + adjust.brightness / 100 - 0.5) * contrast + 0.5;
+    }
+    return lut;
+  });
+  const s = 1 + adjust.saturation / 100;
+  const saturate = [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+  ];
+  const angleRad = (adjust.hue * Math.PI) / 180;
+  const cos = Math.cos(angleRad);
+  const sin = Math.sin(angleRad);
+  const hueRotate = [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ];
+  const m = multiplyColorMatrices(hueRotate, saturate);
+  const gammaLut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    gammaLut[v] = Math.round(Math.pow(v / 255, 1 / adjust.gamma) * 255);
+  }
+  // Helper: clamp a 0..1 value and map it through the gamma table
+  const toByte = (v) => gammaLut[Math.round(Math.max(0, Math.min(1, v)) * 255)];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const r = pre[0][data[i]];
+    const g = pre[1][data[i + 1]];
+    const b = pre[2][data[i + 2]];
+    data[i] = toByte(m[0] * r + m[1] * g + m[2] * b);
+    data[i + 1] = toByte(m[3] * r + m[4] * g + m[5] * b);
+    data[i + 2] = toByte(m[6] * r + m[7] * g + m[8] * b);
+  }
+}
+
+// Reflect the selected layer's adjustments in the adjustment panel
+function updateAdjustPanel() {
+  const adjust = activeLayer ? activeLayer.adjust : DEFAULT_ADJUSTMENTS;
+  for (const [name, input] of Object.entries(adjustInputs)) {
+    input.value = adjust[name];
+    adjustValues[name].textContent = adjust[name];
+  }
+}
+
+// Apply a change to the selected layer's adjustments. As with the key
+// sliders, the first change of a gesture records the undo step.
+function changeAdjustments(changes) {
+  if (!activeLayer) return;
+  if (!adjustEditActive) {
+    saveState('Adjust colour');
+    adjustEditActive = true;
+  }
+  activeLayer.adjust = { ...activeLayer.adjust, ...changes };
+  updateAdjustPanel();
+  drawScene();
+}
+
+// Helper: mean red, green, blue and luma, and the standard deviation of
+// luma, of the pixels in `data` whose weight is at least 128. `weights`
+// holds one value per pixel at stride 4 (an alpha channel) or is null to
+// use every pixel. Values are in 0..1; returns null when no pixel counts.
+function colourStatistics(data, weights) {
+  let n = 0;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let y = 0;
+  let yy = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (weights && weights[i + 3] < 128) continue;
+    const luma = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+    r += data[i] / 255;
+    g += data[i + 1] / 255;
+    b += data[i + 2] / 255;
+    y += luma;
+    yy += luma * luma;
+    n++;
+  }
+  if (n === 0) return null;
+  const meanY = y / n;
+  return {
+    r: r / n,
+    g: g / n,
+    b: b / n,
+    y: meanY,
+    stdY: Math.sqrt(Math.max(0, yy / n - meanY * meanY)),
+  };
+}
+
+// Fit the selected overlay to the background under it: contrast matches the
+// spread of luma, brightness its mean, and temperature half of the red/blue
+// balance difference (the overlay's own colours are kept mostly intact).
+// Saturation, hue, gamma and opacity are left as they are.
+function autoMatchAdjustments(layer) {
+  const bounds = computeLayerBounds(layer, bgImg.width, bgImg.height);
+  if (!bounds) return null;
+  const { x, y, w: width, h: height } = bounds;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = width;
+  tmpCanvas.height = height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  // Background pixels covered by the overlay's bounding box
+  tmpCtx.drawImage(bgImg, -x, -y);
+  const bgStats = colourStatistics(tmpCtx.getImageData(0, 0, width, height).data, null);
+  // The overlay as drawn, without adjustments
+  tmpCtx.clearRect(0, 0, width, height);
+  tmpCtx.translate(-x, -y);
+  drawLayer(tmpCtx, layer, true);
+  const overlayData = tmpCtx.getImageData(0, 0, width, height).data;
+  const overlayStats = colourStatistics(overlayData, overlayData);
+  if (!bgStats || !overlayStats) return null;
+  const contrast = overlayStats.stdY > 0.01
+    ? Math.max(0.5, Math.min(2, bgStats.stdY / overlayStats.stdY))
+    : 1;
+  const brightness = (bgStats.y - 0.5) / contrast + 0.5 - overlayStats.y;
+  const balance = (bgStats.r - bgStats.b) - (overlayStats.r - overlayStats.b);
+  const clamp = (v) => Math.round(Math.max(-100, Math.min(100, v)));
+  return {
+    contrast: clamp((contrast - 1) * 100),
+    brightness: clamp(brightness * 100),
+    // Temperature shifts red and blue in opposite directions by 0.1 at ±100
+    temperature: clamp(((balance / 2) * 0.5 * 100) / 0.1),
+  };
+}
+
+// Adjustment panel events
+for (const [name, input] of Object.entries(adjustInputs)) {
+  input.addEventListener('input', () => {
+    changeAdjustments({ [name]: parseFloat(input.value) || 0 });
+  });
+  input.addEventListener('change', () => {
+    adjustEditActive = false;
+  });
+}
+adjustAutoBtn.addEventListener('click', () => {
+  if (!activeLayer || !bgImg) return;
+  const changes = autoMatchAdjustments(activeLayer);
+  if (!changes) return;
+  changeAdjustments(changes);
+  adjustEditActive = false;
+});
+adjustResetBtn.addEventListener('click', () => {
+  changeAdjustments({ ...DEFAULT_ADJUSTMENTS });
+  adjustEditActive = false;
+});
+updateAdjustPanel();
+
+/* Shadows */
+
+// Shadow images per layer as { img, settings, shadow }, rebuilt when the
+// keyed image, the layer's shape or its shadow settings change. Moving a
+// layer doesn't change its shadow, so dragging reuses the image.
+const shadowImages = new WeakMap();
+
+// Keep a sliver of ground depth so a shadow falling sideways stays visible
+const MIN_CAST_SHADOW_DEPTH = 0.05;
+
+// Helper: the layer's shadow as { canvas, x, y }, with (x, y) where the
+// canvas goes relative to the layer's position, or null if there is none
+function layerShadow(layer) {
+  if (layer.shadow.mode === 'none') return null;
+  // The position is left out, since moving the layer moves the shadow as is
+  const { scaleX, scaleY, angle, flipH, flipV, corners } = layer.state;
+  const settings = JSON.stringify([scaleX, scaleY, angle, flipH, flipV, corners, layer.shadow]);
+  const cached = shadowImages.get(layer);
+  if (cached && cached.img === layer.img && cached.settings === settings) return cached.shadow;
+  const shadow = renderShadow(layer);
+  shadowImages.set(layer, { img: layer.img, settings, shadow });
+  return shadow;
+}
+
+// Render a layer's shadow from its silhouette (the keyed alpha as placed,
+// without adjustments). A drop shadow is the silhouette moved by the
+// offset. A cast shadow is the silhouette laid down on a ground plane
+// through the object's lowest pixel: each point is moved from the ground
+// line in the shadow's direction by its height times the length, with the
+// depth component foreshortened by the tilt. Both are then blurred and
+// filled with the shadow colour.
+function renderShadow(layer) {
+  const shadow = layer.shadow;
+  const { x: left, y: top } = layer.state;
+  const corners = layerCorners(layer);
+  const x0 = Math.floor(Math.min(...corners.map((c) => c.x)));
+  const y0 = Math.floor(Math.min(...corners.map((c) => c.y)));
+  const x1 = Math.ceil(Math.max(...corners.map((c) => c.x)));
+  const y1 = Math.ceil(Math.max(...corners.map((c) => c.y)));
+  if (x1 <= x0 || y1 <= y0) return null;
+  const silhouette = document.createElement('canvas');
+  silhouette.width = x1 - x0;
+  silhouette.height = y1 - y0;
+  const silhouetteCtx = silhouette.getContext('2d');
+  silhouetteCtx.translate(-x0, -y0);
+  drawLayer(silhouetteCtx, layer, true);
+  const bounds = opaqueBounds(silhouetteCtx.getImageData(0, 0, silhouette.width, silhouette.height));
+  if (!bounds) return null;
+  // Map from silhouette pixels to shadow positions relative to the layer,
+  // as the a..f of a canvas transform
+  let m = [1, 0, 0, 1, x0 - left + shadow.offsetX, y0 - top + shadow.offsetY];
+  if (shadow.mode === 'cast') {
+    const ground = bounds.y + bounds.h + shadow.ground;
+    const angle = (shadow.direction * Math.PI) / 180;
+    const length = shadow.length / 100;
+    let depth = Math.cos(angle) * (shadow.tilt / 100);
+    if (Math.abs(depth) < MIN_CAST_SHADOW_DEPTH) depth = depth < 0 ? -MIN_CAST_SHADOW_DEPTH : MIN_CAST_SHADOW_DEPTH;
+    const dx = length * Math.sin(angle);
+    const dy = length * depth;
+    // (u, v) → (u + (ground − v)·dx, ground + (ground − v)·dy)
+    m = [1, 0, -dx, -dy, dx * ground + x0 - left, ground * (1 + dy) + y0 - top];
+  }
+  // Extent of the moved silhouette, with room for the blur to spread
+  const radius = Math.max(0, Math.round(shadow.blur / 2));
+  const margin = 3 * radius + 1;
+  const points = [
+    [bounds.x, bounds.y],
+    [bounds.x + bounds.w, bounds.y],
+    [bounds.x, bounds.y + bounds.h],
+    [bounds.x + bounds.w, bounds.y + bounds.h],
+  ].map(([u, v]) => ({ x: m[0] * u + m[2] * v + m[4], y: m[1] * u + m[3] * v + m[5] }));
+  const sx = Math.floor(Math.min(...points.map((p) => p.x))) - margin;
+  const sy = Math.floor(Math.min(...points.map((p) => p.y))) - margin;
+  const out = document.createElement('canvas');
+  out.width = Math.ceil(Math.max(...points.map((p) => p.x))) + margin - sx;
+  out.height = Math.ceil(Math.max(...points.map((p) => p.y))) + margin - sy;
+  const outCtx = out.getContext('2d');
+  outCtx.setTransform(m[0], m[1], m[2], m[3], m[4] - sx, m[5] - sy);
+  outCtx.drawImage(silhouette, 0, 0);
+  outCtx.setTransform(1, 0, 0, 1, 0, 0);
+  if (radius > 0) {
+    const imageData = outCtx.getImageData(0, 0, out.width, out.height);
+    const alpha = new Uint8ClampedArray(out.width * out.height);
+    for (let p = 0; p < alpha.length; p++) alpha[p] = imageData.data[p * 4 + 3];
+    // Three box blurs approximate a Gaussian, as for feathering
+    for (let pass = 0; pass < 3; pass++) boxBlurAlpha(alpha, out.width, out.height, radius);
+    for (let p = 0; p < alpha.length; p++) imageData.data[p * 4 + 3] = alpha[p];
+    outCtx.putImageData(imageData, 0, 0);
+  }
+  outCtx.globalCompositeOperation = 'source-in';
+  outCtx.fillStyle = shadow.color;
+  outCtx.fillRect(0, 0, out.width, out.height);
+  return { canvas: out, x: sx, y: sy };
+}
+
+// Draw a layer's shadow, if it has one, at the layer's position. It fades
+// with the layer's opacity.
+function drawLayerShadow(context, layer) {
+  const shadow = layerShadow(layer);
+  if (!shadow) return;
+  context.save();
+  context.globalAlpha *= (layer.shadow.opacity / 100) * (layer.adjust.opacity / 100);
+  context.drawImage(shadow.canvas, layer.state.x + shadow.x, layer.state.y + shadow.y);
+  context.restore();
+}
+
+// Reflect the selected layer's shadow settings in the shadow panel. Only
+// the settings of the chosen kind of shadow can be changed.
+function updateShadowPanel() {
+  const shadow = activeLayer ? activeLayer.shadow : DEFAULT_SHADOW;
+  shadowModeSelect.value = shadow.mode;
+  shadowColorInput.value = shadow.color;
+  shadowColorInput.disabled = shadow.mode === 'none';
+  for (const [name, input] of Object.entries(shadowInputs)) {
+    input.value = shadow[name];
+    shadowValues[name].textContent = shadow[name];
+    const dropOnly = name === 'offsetX' || name === 'offsetY';
+    const castOnly = ['direction', 'length', 'tilt', 'ground'].includes(name);
+    input.disabled = shadow.mode === 'none' ||
+      (dropOnly && shadow.mode !== 'drop') || (castOnly && shadow.mode !== 'cast');
+  }
+}
+
+// Apply a change to the selected layer's shadow. The first change of a
+// slider gesture records the undo step.
+function changeShadow(changes) {
+  if (!activeLayer) return;
+  if (!shadowEditActive) {
+    saveState('Shadow');
+    shadowEditActive = true;
+  }
+  activeLayer.shadow = { ...activeLayer.shadow, ...changes };
+  updateShadowPanel();
+  drawScene();
+}
+
+// Shadow panel events
+for (const [name, input] of Object.entries(shadowInputs)) {
+  input.addEventListener('input', () => {
+    changeShadow({ [name]: parseFloat(input.value) || 0 });
+  });
+  input.addEventListener('change', () => {
+    shadowEditActive = false;
+  });
+}
+shadowColorInput.addEventListener('input', () => {
+  changeShadow({ color: shadowColorInput.value });
+});
+shadowColorInput.addEventListener('change', () => {
+  shadowEditActive = false;
+});
+shadowModeSelect.addEventListener('change', () => {
+  changeShadow({ mode: shadowModeSelect.value });
+  shadowEditActive = false;
+});
+shadowResetBtn.addEventListener('click', () => {
+  changeShadow({ ...DEFAULT_SHADOW });
+  shadowEditActive = false;
+});
+updateShadowPanel();
+
+/* Background playlist */
+
+// Backgrounds chosen together in the Load Background dialog or as a
+// folder, shown as a filmstrip and stepped through with next/previous
+let backgroundFiles = [];
+let backgroundIndex = -1;
+// Object URLs of the filmstrip thumbnails, released with the playlist
+let filmstripUrls = [];
+// Background file whose image is loading; older loads are ignored when
+// stepping quickly
+let pendingBackground = null;
+// Backgrounds with saved outputs, by backgroundKey, most recent last.
+// Remembered across sessions so that a playlist can be resumed.
+const SAVED_BACKGROUNDS_STORAGE_KEY = 'overlayApp.savedBackgrounds';
+const MAX_SAVED_BACKGROUNDS = 2000;
+const savedBackgrounds = new Set(loadStoredJson(SAVED_BACKGROUNDS_STORAGE_KEY, []));
+const AUTO_ADVANCE_STORAGE_KEY = 'overlayApp.autoAdvance';
+bgAutoAdvanceCheckbox.checked = !!loadStoredJson(AUTO_ADVANCE_STORAGE_KEY, false);
+
+// Helper: identifies a background file across sessions
+function backgroundKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+// Replace the playlist with `files` (sorted by name) and show the first one
+function setBackgroundFiles(files) {
+  const images = files
+    .filter((file) => file.type.startsWith('image/'))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  if (images.length === 0) return;
+  for (const url of filmstripUrls) URL.revokeObjectURL(url);
+  filmstripUrls = images.map((file) => URL.createObjectURL(file));
+  backgroundFiles = images;
+  showBackground(0);
+}
+
+// Show the playlist background at `index`
+function showBackground(index) {
+  if (index < 0 || index >= backgroundFiles.length) return;
+  backgroundIndex = index;
+  loadBackgroundFile(backgroundFiles[index]);
+  renderFilmstrip();
+}
+
+// Show the next (step 1) or previous (step -1) background of the playlist
+function stepBackground(step) {
+  showBackground(backgroundIndex + step);
+}
+
+// Record that outputs were saved for the current playlist background
+function markBackgroundSaved() {
+  const file = backgroundFiles[backgroundIndex];
+  if (!file || file.name !== bgName) return;
+  const key = backgroundKey(file);
+  // Re‑insert so the most recent saves are kept when trimming
+  savedBackgrounds.delete(key);
+  savedBackgrounds.add(key);
+  const keys = [...savedBackgrounds].slice(-MAX_SAVED_BACKGROUNDS);
+  storeJson(SAVED_BACKGROUNDS_STORAGE_KEY, keys);
+  renderFilmstrip();
+}
+
+// Rebuild the filmstrip: one thumbnail per playlist background, the
+// current one highlighted and those with saved outputs marked
+function renderFilmstrip() {
+  playlistPanel.style.display = backgroundFiles.length > 1 ? 'flex' : 'none';
+  bgPrevBtn.disabled = backgroundIndex <= 0;
+  bgNextBtn.disabled = backgroundIndex >= backgroundFiles.length - 1;
+  const saved = backgroundFiles.filter((file) => savedBackgrounds.has(backgroundKey(file))).length;
+  bgPosition.textContent = `${backgroundIndex + 1} / ${backgroundFiles.length} (${saved} saved)`;
+  filmstrip.textContent = '';
+  backgroundFiles.forEach((file, i) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.title = file.name;
+    item.classList.toggle('selected', i === backgroundIndex);
+    item.classList.toggle('saved', savedBackgrounds.has(backgroundKey(file)));
+    const thumb = document.createElement('img');
+    thumb.src = filmstripUrls[i];
+    thumb.alt = file.name;
+    thumb.loading = 'lazy';
+    item.appendChild(thumb);
+    item.addEventListener('click', () => showBackground(i));
+    filmstrip.appendChild(item);
+  });
+  const current = filmstrip.children[backgroundIndex];
+  if (current) current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// Move and scale a layer from a background of oldWidth×oldHeight onto one of
+// newWidth×newHeight, keeping its centre at the same relative position and
+// its share of the background area
+function carryOverPlacement(layer, oldWidth, oldHeight, newWidth, newHeight) {
+  const state = layer.state;
+  const rx = newWidth / oldWidth;
+  const ry = newHeight / oldHeight;
+  const factor = Math.sqrt(rx * ry);
+  const cx = (state.x + (layer.img.width * state.scaleX) / 2) * rx;
+  const cy = (state.y + (layer.img.height * state.scaleY) / 2) * ry;
+  state.scaleX *= factor;
+  state.scaleY *= factor;
+  state.x = cx - (layer.img.width * state.scaleX) / 2;
+  state.y = cy - (layer.img.height * state.scaleY) / 2;
+}
+
+// Event: load background
+bgInput.addEventListener('change', (e) => {
+  const files = Array.from(e.target.files);
+  // Allow re‑selecting the same files later
+  bgInput.value = '';
+  setBackgroundFiles(files);
+});
+bgFolderInput.addEventListener('change', (e) => {
+  const files = Array.from(e.target.files);
+  bgFolderInput.value = '';
+  setBackgroundFiles(files);
+});
+bgPrevBtn.addEventListener('click', () => stepBackground(-1));
+bgNextBtn.addEventListener('click', () => stepBackground(1));
+bgAutoAdvanceCheckbox.addEventListener('change', () => {
+  storeJson(AUTO_ADVANCE_STORAGE_KEY, bgAutoAdvanceCheckbox.checked);
+});
+
+// Load a background image file, keeping the current layers at the same
+// relative placement
+function loadBackgroundFile(file) {
+  const img = new Image();
+  pendingBackground = file;
+  img.onload = () => {
+    if (pendingBackground !== file) return;
+    pendingBackground = null;
+    const previous = bgImg;
+    bgImg = img;
+    bgName = file.name;
+    bgFile = file;
+    setOccluderMask(occluderMasks.get(file) || null);
+    occluderPolygon = [];
+    bgHash = null;
+    bgHashReady = hashFile(file).then((hash) => {
+      if (bgImg === img) bgHash = hash;
+    });
+    if (previous) {
+      for (const layer of layers) {
+        carryOverPlacement(layer, previous.width, previous.height, img.width, img.height);
+      }
+    }
+    drawScene();
+    controls.style.display = 'flex';
+    refreshLayerUI();
+    setOutputBtn.disabled = false;
+    loadQueuedOverlays();
+  };
+  img.src = URL.createObjectURL(file);
+}
+
+// Event: load overlays. Every selected file becomes a new layer on top of
+// the stack.
+overlayInput.addEventListener('change', (e) => {
+  const files = Array.from(e.target.files);
+  // Allow re‑selecting the same files later
+  overlayInput.value = '';
+  loadOverlayFiles(files);
+});
+
+// Add image files as overlays, centred on `at` (background pixels) if
+// given. Without a background they are queued until one is loaded.
+function loadOverlayFiles(files, at = null) {
+  const images = files.filter((file) => file.type.startsWith('image/'));
+  if (images.length === 0) return;
+  if (!bgImg) {
+    queuedOverlays.push(...images);
+    updateLoadStatus();
+    return;
+  }
+  for (const file of images) {
+    loadOverlayFile(file, at);
+  }
+}
+
+// Add the queued overlays now that there is a background
+function loadQueuedOverlays() {
+  const files = queuedOverlays;
+  queuedOverlays = [];
+  updateLoadStatus();
+  loadOverlayFiles(files);
+}
+
+// Say how many overlays are waiting for a background
+function updateLoadStatus() {
+  const count = queuedOverlays.length;
+  loadStatus.textContent = count === 0
+    ? ''
+    : `${count} overlay${count === 1 ? '' : 's'} waiting for a background`;
+}
+
+// Load one overlay file, key it and add it as the selected top layer,
+// centred on `at` if given
+function loadOverlayFile(file, at = null) {
+  const rawImg = new Image();
+  rawImg.onload = () => {
+    // Files that already carry transparency keep their own alpha by default;
+    // everything else is chroma keyed to RGBA.
+    const hasAlpha = imageHasAlpha(rawImg);
+    const layer = createLayer({
+      name: file.name.replace(/\.[^.]+$/, ''),
+      source: describeSourceFile(file),
+      rawImg,               // Keep unkeyed pixels for re‑keying
+      hasAlpha,
+      alphaSource: hasAlpha ? 'embedded' : 'key',
+      crop: { x: 0, y: 0, w: rawImg.width, h: rawImg.height },
+    });
+    processOverlay(layer, (rgbaImg) => {
+      if (!bgImg) return;
+      layer.img = rgbaImg;
+      layer.originalImg = rgbaImg; // Save untransformed for overlay-only output
+      const overlayState = layer.state;
+      // Compute initial scale: fit overlay into background if larger
+      const maxW = bgImg.width;
+      const maxH = bgImg.height;
+      const ovW = rgbaImg.width;
+      const ovH = rgbaImg.height;
+      const scaleX = maxW / ovW;
+      const scaleY = maxH / ovH;
+      const maxScale = Math.min(scaleX, scaleY, 1);
+      overlayState.scaleX = maxScale;
+      overlayState.scaleY = maxScale;
+      // Place overlay near top-left with small margin, cascading each new
+      // layer so that they do not hide one another
+      const margin = 20 * (1 + (layers.length % 10));
+      overlayState.x = Math.max(0, Math.min(margin, maxW - ovW * overlayState.scaleX));
+      overlayState.y = Math.max(0, Math.min(margin, maxH - ovH * overlayState.scaleY));
+      if (at) {
+        const w = ovW * overlayState.scaleX;
+        const h = ovH * overlayState.scaleY;
+        const position = constrainToBackground(at.x - w / 2, at.y - h / 2, w, h);
+        overlayState.x = position.x;
+        overlayState.y = position.y;
+      }
+      // Record the previous layer set so that adding a layer can be undone
+      saveState('Add overlay');
+      layers.push(layer);
+      selectLayer(layer);
+    });
+  };
+  rawImg.src = URL.createObjectURL(file);
+}
+
+// Remove the selected overlay
+removeOverlayBtn.addEventListener('click', () => {
+  deleteActiveLayer();
+});
+
+// Set output directory using File System Access API
+setOutputBtn.addEventListener('click', async () => {
+  try {
+    // Prompt user to select a directory. Requires secure context (https) in most browsers.
+    const dirHandle = await window.showDirectoryPicker();
+    outputDirHandle = dirHandle;
+    outputStatus.textContent = `Output: ${dirHandle.name || 'selected'}`;
+  } catch (err) {
+    // User cancelled or API unavailable
+    console.error('Directory selection cancelled or not supported', err);
+  }
+});
+
+// New session: clear everything
+newBtn.addEventListener('click', () => {
+  bgImg = null;
+  bgName = null;
+  bgHash = null;
+  backgroundFiles = [];
+  backgroundIndex = -1;
+  pendingBackground = null;
+  renderFilmstrip();
+  queuedOverlays = [];
+  updateLoadStatus();
+  bgFile = null;
+  setOccluderMode(null);
+  setOccluderMask(null);
+  layers = [];
+  activeLayer = null;
+  setEyedropperMode(false);
+  setBrushMode(null);
+  dragData = { localX: 0, localY: 0 };
+  saveCounter = 0;
+  angleInput.value = 0;
+  controls.style.display = 'none';
+  drawScene();
+  setOutputBtn.disabled = true;
+  outputDirHandle = null;
+  outputStatus.textContent = '';
+  // Reset crop state
+  resetCropMode();
+  refreshLayerUI();
+  // Clear the undo history on new session
+  clearHistory();
+});
+
+/* Drag and drop and the clipboard */
+
+// Images dropped onto the canvas become the background when they land
+// outside the current one (or there is none) and overlays when they land
+// on it. Holding Shift swaps the two.
+canvasContainer.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  canvasContainer.classList.add('drop-target');
+});
+canvasContainer.addEventListener('dragleave', () => {
+  canvasContainer.classList.remove('drop-target');
+});
+canvasContainer.addEventListener('drop', (e) => {
+  e.preventDefault();
+  canvasContainer.classList.remove('drop-target');
+  const files = Array.from(e.dataTransfer.files).filter((file) => file.type.startsWith('image/'));
+  if (files.length === 0) return;
+  const point = screenToImage(e.clientX, e.clientY);
+  const onBackground = !!bgImg &&
+    point.x >= 0 && point.y >= 0 && point.x < bgImg.width && point.y < bgImg.height;
+  if (onBackground !== e.shiftKey) {
+    loadOverlayFiles(files, onBackground ? point : null);
+  } else {
+    setBackgroundFiles(files);
+  }
+});
+
+// Pasted images become overlays, or the background if there is none yet.
+// Pasting into a form field is left alone.
+document.addEventListener('paste', (e) => {
+  if (e.target.closest('input, select, textarea')) return;
+  const files = Array.from(e.clipboardData.files).filter((file) => file.type.startsWith('image/'));
+  if (files.length === 0) return;
+  e.preventDefault();
+  if (bgImg) {
+    loadOverlayFiles(files);
+  } else {
+    setBackgroundFiles(files);
+  }
+});
+
+// Helper: the current composite at the background's size, as Save renders
+// it before any export options or effects
+function renderComposite() {
+  const out = document.createElement('canvas');
+  out.width = bgImg.width;
+  out.height = bgImg.height;
+  const outCtx = out.getContext('2d');
+  outCtx.drawImage(bgImg, 0, 0);
+  for (const layer of layers) {
+    if (!layer.visible) continue;
+    drawLayerShadow(outCtx, layer);
+    drawLayer(outCtx, layer);
+  }
+  if (occluderMask) outCtx.drawImage(renderOccluder(bgImg, occluderMask, out.width, out.height), 0, 0);
+  return out;
+}
+
+// Put a canvas on the clipboard as a PNG. The image is handed over as a
+// promise so that the write still counts as part of the user's click.
+async function copyCanvasToClipboard(canvasEl) {
+  if (!navigator.clipboard || !window.ClipboardItem) {
+    alert('Copying images is not supported in this browser.');
+    return;
+  }
+  const blob = new Promise((resolve) => canvasEl.toBlob(resolve, 'image/png'));
+  try {
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+  } catch (err) {
+    console.error('Could not copy the image:', err);
+    alert('Could not copy the image to the clipboard.');
+  }
+}
+
+copyCompositeBtn.addEventListener('click', () => {
+  if (bgImg) copyCanvasToClipboard(renderComposite());
+});
+// The selected overlay's keyed image, untransformed
+copyOverlayBtn.addEventListener('click', () => {
+  if (activeLayer) copyCanvasToClipboard(copyToCanvas(activeLayer.img));
+});
+// Copying with nothing selected on the page copies the composite
+document.addEventListener('copy', (e) => {
+  if (!bgImg || e.target.closest('input, select, textarea')) return;
+  if (!document.getSelection().isCollapsed) return;
+  e.preventDefault();
+  copyCanvasToClipboard(renderComposite());
+});
+
+/* Project files */
+
+// Helper: a self‑contained data URL for an image. Images loaded from files
+// use blob URLs that do not survive a reload, so those are re‑encoded as PNG.
+function imageToDataUrl(img) {
+  if (img.src.startsWith('data:')) return img.src;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = img.width;
+  tmpCanvas.height = img.height;
+  tmpCanvas.getContext('2d').drawImage(img, 0, 0);
+  return tmpCanvas.toDataURL('image/png');
+}
+
+// Helper: a layer as stored in a project file, with its images as data URLs
+function serializeLayer(layer) {
+  return {
+    id: layer.id,
+    name: layer.name,
+    label: layer.label,
+    overlayData: imageToDataUrl(layer.img),
+    originalData: imageToDataUrl(layer.originalImg),
+    rawData: imageToDataUrl(layer.rawImg),
+    matteData: layer.matteImg ? imageToDataUrl(layer.matteImg) : null,
+    paintData: layer.paintCanvas ? layer.paintCanvas.toDataURL() : null,
+    source: layer.source,
+    matteSource: layer.matteSource,
+    alphaSource: layer.alphaSource,
+    hasAlpha: layer.hasAlpha,
+    crop: { ...layer.crop },
+    key: { ...layer.key },
+    refine: { ...layer.refine },
+    adjust: { ...layer.adjust },
+    shadow: { ...layer.shadow },
+    state: { ...layer.state },
+    visible: layer.visible,
+  };
+}
+
+// Recreate a layer stored by serializeLayer once its images have decoded.
+// Older project files have no separate original image.
+async function deserializeLayer(saved) {
+  const [img, original, raw, matte, paint] = await Promise.all([
+    loadImage(saved.overlayData),
+    saved.originalData ? loadImage(saved.originalData) : null,
+    loadImage(saved.rawData),
+    saved.matteData ? loadImage(saved.matteData) : null,
+    saved.paintData ? loadImage(saved.paintData) : null,
+  ]);
+  return createLayer({
+    id: saved.id,
+    name: saved.name,
+    label: saved.label,
+    img,
+    originalImg: original || img,
+    rawImg: raw,
+    matteImg: matte,
+    paintCanvas: paint ? copyToCanvas(paint) : null,
+    source: saved.source,
+    matteSource: saved.matteSource,
+    alphaSource: saved.alphaSource,
+    hasAlpha: saved.hasAlpha,
+    crop: { ...saved.crop },
+    key: { ...saved.key },
+    refine: { ...DEFAULT_REFINE_SETTINGS, ...saved.refine },
+    adjust: { ...DEFAULT_ADJUSTMENTS, ...saved.adjust },
+    shadow: { ...DEFAULT_SHADOW, ...saved.shadow },
+    state: normalizeLayerState(saved.state),
+    visible: saved.visible,
+  });
+}
+
+// Serialise the editing session: background, every layer (keyed, original,
+// unkeyed and matte images plus settings and transform), the occluder mask,
+// the output file name template and the remembered key settings.
+function buildProject() {
+  return {
+    type: PROJECT_FILE_TYPE,
+    version: PROJECT_FORMAT_VERSION,
+    background: { name: bgName, sha256: bgHash, data: imageToDataUrl(bgImg) },
+    outputTemplate: outputTemplateInput.value,
+    keySettings: { ...keySettings },
+    occluder: occluderMask ? occluderMask.toDataURL() : null,
+    layers: layers.map(serializeLayer),
+    activeId: activeLayer ? activeLayer.id : null,
+  };
+}
+
+// Replace the current session with a parsed project file
+async function openProject(project) {
+  if (!project || project.type !== PROJECT_FILE_TYPE) {
+    throw new Error('Not an image overlay project file');
+  }
+  if (project.version > PROJECT_FORMAT_VERSION) {
+    throw new Error(`Project format version ${project.version} is newer than this app supports`);
+  }
+  const [background, occluderImg, projectLayers] = await Promise.all([
+    loadImage(project.background.data),
+    project.occluder ? loadImage(project.occluder) : null,
+    Promise.all(project.layers.map(deserializeLayer)),
+  ]);
+  bgImg = background;
+  bgName = project.background.name;
+  bgHash = project.background.sha256 || null;
+  bgFile = null;
+  setOccluderMask(occluderImg ? copyToCanvas(occluderImg) : null);
+  saveCounter = 0;
+  // Older projects have a plain output prefix, which is a valid template
+  outputTemplateInput.value = project.outputTemplate ?? project.outputPrefix ?? '';
+  keySettings = { ...DEFAULT_KEY_SETTINGS, ...project.keySettings };
+  storeJson(KEY_SETTINGS_STORAGE_KEY, keySettings);
+  resetCropMode();
+  setEyedropperMode(false);
+  setBrushMode(null);
+  setOccluderMode(null);
+  controls.style.display = 'flex';
+  setOutputBtn.disabled = false;
+  layers = projectLayers;
+  // Keep new layer ids unique after the stored ones
+  nextLayerId = Math.max(nextLayerId, ...layers.map((layer) => layer.id + 1));
+  activeLayer = layers.find((layer) => layer.id === project.activeId) || null;
+  // A reopened project starts a fresh undo history
+  clearHistory();
+  refreshLayerUI();
+  drawScene();
+}
+
+saveProjectBtn.addEventListener('click', () => {
+  if (!bgImg) return;
+  const project = buildProject();
+  const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const baseName = bgName ? bgName.replace(/\.[^.]+$/, '') : 'project';
+  downloadDataUrl(url, `${baseName}.overlay.json`);
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+});
+
+projectInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  // Allow re‑opening the same file later
+  projectInput.value = '';
+  if (!file) return;
+  try {
+    await openProject(JSON.parse(await file.text()));
+  } catch (err) {
+    console.error('Could not open project file:', err);
+    alert(`Could not open project: ${err.message}`);
+  }
+});
+
+/* Batch compositing */
+
+const batchToggleBtn = document.getElementById('batch-toggle');
+const batchPanel = document.getElementById('batch-panel');
+const batchBgInput = document.getElementById('batch-bg-input');
+const batchOverlayInput = document.getElementById('batch-overlay-input');
+const batchStartBtn = document.getElementById('batch-start');
+const batchCancelBtn = document.getElementById('batch-cancel');
+const batchProgress = document.getElementById('batch-progress');
+const batchStatus = document.getElementById('batch-status');
+// Set by the Cancel button; checked before each composite
+let batchCancelled = false;
+
+// Seeded pseudo‑random generator (mulberry32) returning numbers in [0, 1),
+// so that a batch can be reproduced from its seed
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helper: a number between a and b (in either order) from random()
+function randomBetween(random, a, b) {
+  const lo = Math.min(a, b);
+  const hi = Math.max(a, b);
+  return lo + (hi - lo) * random();
+}
+
+// Read the batch panel into a settings object
+function readBatchSettings() {
+  const num = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : fallback;
+  };
+  return {
+    count: Math.max(1, Math.round(num('batch-count', 1))),
+    objectsMin: Math.max(1, Math.round(num('batch-objects-min', 1))),
+    objectsMax: Math.max(1, Math.round(num('batch-objects-max', 1))),
+    xMin: num('batch-x-min', 0),
+    xMax: num('batch-x-max', 1),
+    yMin: num('batch-y-min', 0),
+    yMax: num('batch-y-max', 1),
+    scaleMin: Math.max(0.05, num('batch-scale-min', 1)),
+    scaleMax: Math.max(0.05, num('batch-scale-max', 1)),
+    angleMin: num('batch-angle-min', 0),
+    angleMax: num('batch-angle-max', 0),
+    flipH: document.getElementById('batch-flip-h').checked,
+    flipV: document.getElementById('batch-flip-v').checked,
+    label: document.getElementById('batch-label').value.trim(),
+    seed: Math.round(num('batch-seed', 1)),
+  };
+}
+
+// Give a layer a random transform on `background`. The limits match the
+// interactive handlers: the scale never lets the overlay outgrow the
+// background and the overlay box is kept inside it. Position ranges are
+// fractions of the free space left and top of the overlay.
+function randomizeLayerPlacement(layer, background, settings, random) {
+  const ovW = layer.img.width;
+  const ovH = layer.img.height;
+  const maxScale = Math.min(background.width / ovW, background.height / ovH);
+  const scale = Math.min(maxScale, randomBetween(random, settings.scaleMin, settings.scaleMax));
+  const w = ovW * scale;
+  const h = ovH * scale;
+  layer.state = {
+    x: randomBetween(random, settings.xMin, settings.xMax) * (background.width - w),
+    y: randomBetween(random, settings.yMin, settings.yMax) * (background.height - h),
+    scaleX: scale,
+    scaleY: scale,
+    angle: normalizeAngle(randomBetween(random, settings.angleMin, settings.angleMax)),
+    flipH: settings.flipH && random() < 0.5,
+    flipV: settings.flipV && random() < 0.5,
+  };
+}
+
+// Helper: decode an image file, releasing its object URL once it has loaded
+// or failed
+async function loadImageFile(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await loadImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Load and key one overlay file for batch use, like loadOverlayFile
+async function prepareBatchOverlay(file, label) {
+  const rawImg = await loadImageFile(file);
+  const hasAlpha = imageHasAlpha(rawImg);
+  const layer = createLayer({
+    name: file.name.replace(/\.[^.]+$/, ''),
+    source: { file: file.name, sha256: await hashFile(file) },
+    rawImg,
+    hasAlpha,
+    alphaSource: hasAlpha ? 'embedded' : 'key',
+    crop: { x: 0, y: 0, w: rawImg.width, h: rawImg.height },
+  });
+  layer.label = label || layer.name;
+  const rgbaImg = await new Promise((resolve) => processOverlay(layer, resolve));
+  layer.img = rgbaImg;
+  layer.originalImg = rgbaImg;
+  return layer;
+}
+
+// Produce the configured number of random composites and write them to the
+// output directory. Files are processed in name order so that the same
+// inputs and seed always give the same results.
+async function runBatch() {
+  const settings = readBatchSettings();
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const bgFiles = Array.from(batchBgInput.files).sort(byName);
+  const overlayFiles = Array.from(batchOverlayInput.files).sort(byName);
+  if (bgFiles.length === 0 || overlayFiles.length === 0) {
+    alert('Choose at least one background and one overlay for the batch.');
+    return;
+  }
+  if (!outputDirHandle) {
+    alert('Choose an output directory with "Set Output Dir" before running a batch.');
+    return;
+  }
+  batchCancelled = false;
+  batchStartBtn.disabled = true;
+  batchCancelBtn.disabled = false;
+  batchProgress.max = settings.count;
+  batchProgress.value = 0;
+  const random = createRandom(settings.seed);
+  const template = outputTemplateInput.value.trim() || 'batch_{n:04}';
+  let done = 0;
+  try {
+    // Files already in the output folders plus those written by this batch
+    const taken = await existingOutputNames();
+    let nextNumber = 0;
+    batchStatus.textContent = 'Keying overlays…';
+    const templates = [];
+    for (const file of overlayFiles) {
+      templates.push(await prepareBatchOverlay(file, settings.label));
+    }
+    // Background hashes for the recipes, computed once per file
+    const bgHashes = new Map();
+    for (let i = 0; i < settings.count && !batchCancelled; i++) {
+      const bgFile = bgFiles[Math.floor(random() * bgFiles.length)];
+      if (!bgHashes.has(bgFile)) bgHashes.set(bgFile, await hashFile(bgFile));
+      const bgSource = { file: bgFile.name, sha256: bgHashes.get(bgFile) };
+      const background = await loadImageFile(bgFile);
+      const objectCount = Math.round(randomBetween(random, settings.objectsMin, settings.objectsMax));
+      const batchLayers = [];
+      for (let k = 0; k < objectCount; k++) {
+        const props = { ...templates[Math.floor(random() * templates.length)] };
+        // Each placed copy gets an id of its own
+        delete props.id;
+        const layer = createLayer(props);
+        randomizeLayerPlacement(layer, background, settings, random);
+        batchLayers.push(layer);
+      }
+      // Counters run on through the batch; plain names are numbered per name
+      const first = COUNTER_TOKEN.test(template) ? nextNumber : 0;
+      const { baseName, n } = chooseBaseName(template, nameFields(bgFile.name, batchLayers), first, taken, batchLayers.length);
+      nextNumber = n + 1;
+      const outputs = await buildOutputs(background, bgSource, batchLayers, baseName, null, random);
+      await writeOutputs(outputs);
+      taken.push(...outputs.map(({ folder, name }) => ({ folder, name })));
+      done = i + 1;
+      batchProgress.value = done;
+      batchStatus.textContent = `${done} / ${settings.count}`;
+    }
+    batchStatus.textContent = batchCancelled
+      ? `Cancelled after ${done} of ${settings.count}`
+      : `Done: ${done} composites (seed ${settings.seed})`;
+  } catch (err) {
+    console.error('Batch compositing failed:', err);
+    batchStatus.textContent = `Failed after ${done} of ${settings.count}: ${err.message}`;
+  } finally {
+    batchStartBtn.disabled = false;
+    batchCancelBtn.disabled = true;
+  }
+}
+
+batchToggleBtn.addEventListener('click', () => {
+  const open = batchPanel.style.display !== 'flex';
+  batchPanel.style.display = open ? 'flex' : 'none';
+  batchToggleBtn.classList.toggle('active', open);
+  // Batches write to a directory, which can be chosen without a background
+  if (open) setOutputBtn.disabled = false;
+});
+batchStartBtn.addEventListener('click', () => {
+  runBatch();
+});
+batchCancelBtn.addEventListener('click', () => {
+  batchCancelled = true;
+  batchCancelBtn.disabled = true;
+});
+
+/* Recipes */
+
+// Helper: SHA‑256 of a file as hex, or null where Web Crypto is unavailable
+// (it requires a secure context)
+async function hashFile(file) {
+  try {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  } catch (err) {
+    console.warn('Could not hash file', file.name, err);
+    return null;
+  }
+}
+
+// Hashes still being computed, keyed by the source description they fill in
+const pendingHashes = new WeakMap();
+
+// Helper: { file, sha256 } for a source file. The hash is filled in once it
+// has been computed (see sourceHashesReady); the object is shared by undo
+// snapshots and copies.
+function describeSourceFile(file) {
+  const source = { file: file.name, sha256: null };
+  pendingHashes.set(source, hashFile(file).then((hash) => {
+    source.sha256 = hash;
+  }));
+  return source;
+}
+
+// Wait until the background and the sources of `recipeLayers` are hashed,
+// so that a save made right after loading still records the hashes
+async function sourceHashesReady(recipeLayers) {
+  const sources = recipeLayers.flatMap((layer) => [layer.source, layer.matteSource]);
+  await Promise.all([bgHashReady, ...sources.map((source) => source && pendingHashes.get(source))]);
+}
+
+// Describe how a composite was made: the written image as { file, width,
+// height, format, quality }, source files and hashes, and for each overlay
+// its alpha source, key settings, crop rectangle (in original overlay
+// pixels) and transform, plus the background's occluder mask if any and
+// the augmentation `effects` applied ({ overlays, composite }) if any
+function buildRecipe(backgroundSource, recipeLayers, image, occluder = null, effects = null) {
+  return {
+    type: RECIPE_FILE_TYPE,
+    version: RECIPE_FORMAT_VERSION,
+    app: { name: 'Image Overlay Web App', version: APP_VERSION },
+    created: new Date().toISOString(),
+    image: { ...image },
+    background: { ...backgroundSource },
+    // Occluders are drawn by hand, so like brush strokes they are embedded
+    occluder: occluder ? occluder.toDataURL() : null,
+    effects: effects ? { ...effects.composite } : null,
+    overlays: recipeLayers.map((layer, i) => ({
+      name: layer.name,
+      label: layer.label,
+      source: layer.source ? { ...layer.source } : null,
+      matte: layer.matteSource ? { ...layer.matteSource } : null,
+      // Brush strokes cannot be re‑created from the source files
+      paint: layer.paintCanvas ? layer.paintCanvas.toDataURL() : null,
+      alphaSource: layer.alphaSource,
+      key: { ...layer.key },
+      refine: { ...layer.refine },
+      adjust: { ...layer.adjust },
+      shadow: { ...layer.shadow },
+      crop: { ...layer.crop },
+      transform: { ...layer.state },
+      effects: effects ? { ...effects.overlays[i] } : null,
+    })),
+  };
+}
+
+// Re‑create the session described by a recipe. `files` maps file names to
+// the File objects selected with it; sources not among them are taken from
+// the current session when its file names match. Hash mismatches are
+// reported but do not stop the import.
+async function importRecipe(recipe, files) {
+  if (!recipe || recipe.type !== RECIPE_FILE_TYPE) {
+    throw new Error('Not a composite recipe file');
+  }
+  if (recipe.version > RECIPE_FORMAT_VERSION) {
+    throw new Error(`Recipe format version ${recipe.version} is newer than this app supports`);
+  }
+  const warnings = [];
+  // Resolve a { file, sha256 } description of `what` to a loaded image
+  const resolveSource = async (source, what, currentImg, currentSource) => {
+    if (!source || !source.file) {
+      throw new Error(`The recipe does not name a source file for ${what}`);
+    }
+    const file = files.get(source.file);
+    if (file) {
+      const hash = await hashFile(file);
+      if (source.sha256 && hash && hash !== source.sha256) {
+        warnings.push(`${source.file} differs from the file the recipe was made with`);
+      }
+      const url = URL.createObjectURL(file);
+      try {
+        return { img: await loadImage(url), source: { file: file.name, sha256: hash } };
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    if (currentImg && currentSource && currentSource.file === source.file) {
+      return { img: currentImg, source: currentSource };
+    }
+    throw new Error(`Source image "${source.file}" was not selected`);
+  };
+  const bg = await resolveSource(recipe.background, 'the background', bgImg, { file: bgName, sha256: bgHash });
+  const background = bg.img;
+  const occluderImg = recipe.occluder ? await loadImage(recipe.occluder) : null;
+  // Effects are sampled afresh on every save and noise can't be replayed,
+  // so the recorded values are reported rather than applied
+  const overlayEffects = recipe.overlays.map((overlay) => overlay.effects).filter(Boolean);
+  if ((recipe.effects && hasEffects(recipe.effects)) || overlayEffects.some(hasEffects)) {
+    warnings.push('The augmentation effects recorded in the recipe are not re-applied; set them in Export Options to save with effects again');
+  }
+  const recipeLayers = [];
+  for (const overlay of recipe.overlays) {
+    const what = `overlay "${overlay.name}"`;
+    const current = layers.find((layer) => layer.source && overlay.source && layer.source.file === overlay.source.file);
+    const raw = await resolveSource(overlay.source, what, current && current.rawImg, current && current.source);
+    const matte = overlay.matte
+      ? await resolveSource(overlay.matte, `the matte of ${what}`, current && current.matteImg, current && current.matteSource)
+      : null;
+    const rawImg = raw.img;
+    const layer = createLayer({
+      name: overlay.name,
+      label: overlay.label,
+      source: raw.source,
+      matteSource: matte ? matte.source : null,
+      rawImg,
+      matteImg: matte ? matte.img : null,
+      paintCanvas: overlay.paint ? copyToCanvas(await loadImage(overlay.paint)) : null,
+      hasAlpha: imageHasAlpha(rawImg),
+      alphaSource: overlay.alphaSource,
+      key: { ...DEFAULT_KEY_SETTINGS, ...overlay.key },
+      refine: { ...DEFAULT_REFINE_SETTINGS, ...overlay.refine },
+      adjust: { ...DEFAULT_ADJUSTMENTS, ...overlay.adjust },
+      shadow: { ...DEFAULT_SHADOW, ...overlay.shadow },
+      crop: { ...overlay.crop },
+      state: normalizeLayerState(overlay.transform),
+    });
+    const rgbaImg = await new Promise((resolve) => processOverlay(layer, resolve));
+    layer.img = rgbaImg;
+    layer.originalImg = rgbaImg;
+    recipeLayers.push(layer);
+  }
+  bgImg = background;
+  bgName = bg.source.file;
+  bgHash = bg.source.sha256;
+  bgFile = null;
+  setOccluderMask(occluderImg ? copyToCanvas(occluderImg) : null);
+  saveCounter = 0;
+  resetCropMode();
+  setEyedropperMode(false);
+  setBrushMode(null);
+  setOccluderMode(null);
+  controls.style.display = 'flex';
+  setOutputBtn.disabled = false;
+  // The imported recipe replaces the session, like opening a project
+  layers = recipeLayers;
+  activeLayer = layers[layers.length - 1] || null;
+  clearHistory();
+  refreshLayerUI();
+  drawScene();
+  return warnings;
+}
+
+recipeInput.addEventListener('change', async (e) => {
+  const selected = Array.from(e.target.files);
+  // Allow re‑selecting the same files later
+  recipeInput.value = '';
+  const recipeFile = selected.find((file) => /\.json$/i.test(file.name));
+  if (!recipeFile) {
+    alert('Select the recipe .json file together with its source images.');
+    return;
+  }
+  const files = new Map(selected.filter((file) => file !== recipeFile).map((file) => [file.name, file]));
+  try {
+    const warnings = await importRecipe(JSON.parse(await recipeFile.text()), files);
+    if (warnings.length) alert(`Recipe imported with warnings:\n${warnings.join('\n')}`);
+  } catch (err) {
+    console.error('Could not import recipe:', err);
+    alert(`Could not import recipe: ${err.message}`);
+  }
+});
+
+// Resize overlay
+smallerBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  const overlayState = activeLayer.state;
+  // Save state before scaling for undo
+  saveState('Scale down');
+  const factor = 1 / 1.10;
+  overlayState.scaleX *= factor;
+  overlayState.scaleY *= factor;
+  // Ensure overlay stays within bounds
+  const w = activeLayer.img.width * Math.abs(overlayState.scaleX);
+  const h = activeLayer.img.height * Math.abs(overlayState.scaleY);
+  if (bgImg) {
+    const position = constrainToBackground(overlayState.x, overlayState.y, w, h);
+    overlayState.x = position.x;
+    overlayState.y = position.y;
+  }
+  drawScene();
+});
+biggerBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  const overlayState = activeLayer.state;
+  const factor = 1.10;
+  // Prevent overlay from exceeding background size (or the past edges limit)
+  const w = activeLayer.img.width * Math.abs(overlayState.scaleX * factor);
+  const h = activeLayer.img.height * Math.abs(overlayState.scaleY * factor);
+  const maxSize = maxLayerSize();
+  if (bgImg && (w > maxSize.w || h > maxSize.h)) return;
+  // Save state before scaling for undo
+  saveState('Scale up');
+  overlayState.scaleX *= factor;
+  overlayState.scaleY *= factor;
+  drawScene();
+});
+
+// Angle input
+angleInput.addEventListener('input', (e) => {
+  if (!activeLayer) return;
+  // Save state before changing angle via input; typing a value is one step
+  saveState('Set angle', 'angle');
+  const val = parseFloat(e.target.value) || 0;
+  let angle = val;
+  if (angle > 180) angle -= 360;
+  if (angle < -180) angle += 360;
+  activeLayer.state.angle = angle;
+  drawScene();
+});
+
+// Rotation buttons
+rotM5Btn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  // Save state before rotating for undo
+  saveState('Rotate');
+  activeLayer.state.angle = normalizeAngle(activeLayer.state.angle - 5);
+  angleInput.value = Math.round(activeLayer.state.angle);
+  drawScene();
+});
+rotP5Btn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  // Save state before rotating for undo
+  saveState('Rotate');
+  activeLayer.state.angle = normalizeAngle(activeLayer.state.angle + 5);
+  angleInput.value = Math.round(activeLayer.state.angle);
+  drawScene();
+});
+rotResetBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  // Save state before resetting rotation for undo
+  saveState('Reset rotation');
+  activeLayer.state.angle = 0;
+  angleInput.value = 0;
+  drawScene();
+});
+
+// Flip buttons
+flipHBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  // Save state before flipping horizontally for undo
+  saveState('Flip horizontal');
+  activeLayer.state.flipH = !activeLayer.state.flipH;
+  drawScene();
+});
+flipVBtn.addEventListener('click', () => {
+  if (!activeLayer) return;
+  // Save state before flipping vertically for undo
+  saveState('Flip vertical');
+  activeLayer.state.flipV = !activeLayer.state.flipV;
+  drawScene();
+});
+
+// Normalize angle to [-180, 180]
+function normalizeAngle(angle) {
+  let a = angle;
+  while (a > 180) a -= 360;
+  while (a < -180) a += 360;
+  return a;
+}
+
+/* Snapping, alignment and the transform panel */
+
+const transformPanel = document.getElementById('transform-panel');
+const transformInputs = {
+  x: document.getElementById('transform-x'),
+  y: document.getElementById('transform-y'),
+  w: document.getElementById('transform-w'),
+  h: document.getElementById('transform-h'),
+};
+const transformLockInput = document.getElementById('transform-lock');
+const snapEnabledInput = document.getElementById('snap-enabled');
+const snapGridInput = document.getElementById('snap-grid');
+const SNAP_SETTINGS_STORAGE_KEY = 'overlayApp.snapSettings';
+// "Past edges" mode: layers may be partly outside the background and are
+// clipped at its edges, like objects cut off by the frame of a photo
+const pastEdgesInput = document.getElementById('past-edges');
+const transformVisible = document.getElementById('transform-visible');
+const PAST_EDGES_STORAGE_KEY = 'overlayApp.pastEdges';
+pastEdgesInput.checked = !!loadStoredJson(PAST_EDGES_STORAGE_KEY, false);
+// Background pixels of a layer's box that stay on the background in past
+// edges mode, so that the layer can still be grabbed
+const MIN_ON_FRAME = 16;
+// Largest layer size in past edges mode, in multiples of the background size
+const MAX_PAST_EDGES_SIZE = 4;
+// The visible share is measured this many milliseconds after the last
+// redraw, so dragging, panning and zooming don't pay for it every frame
+const VISIBILITY_UPDATE_DELAY = 150;
+let visibilityTimer = null;
+// Snap distance in screen pixels
+const SNAP_DISTANCE = 6;
+// Guide lines of the current snap as { x: [...], y: [...] } in background
+// pixels, drawn while dragging
+let snapGuides = null;
+// True while a transform field is being edited (one undo step)
+let transformEditActive = false;
+
+// Helper: axis‑aligned bounds of a layer as drawn, from its (rotated or
+// distorted) corners
+function layerExtent(layer) {
+  const corners = layerCorners(layer);
+  const xs = corners.map((c) => c.x);
+  const ys = corners.map((c) => c.y);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+// Helper: the offset that snaps one of `points` to one of `targets`, or
+// grid lines every `grid` pixels, within `distance`. Returns
+// { offset, guide } or null.
+function findSnap(points, targets, grid, distance) {
+  let best = null;
+  for (const p of points) {
+    const candidates = grid > 0 ? [...targets, Math.round(p / grid) * grid] : targets;
+    for (const t of candidates) {
+      const offset = t - p;
+      if (Math.abs(offset) <= distance && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, guide: t };
+      }
+    }
+  }
+  return best;
+}
+
+// Snap a layer moved to top‑left (x, y): its edges and centre are pulled to
+// the background's edges and centre lines and to the grid. Returns the
+// snapped position and sets snapGuides.
+function snapLayerPosition(layer, x, y) {
+  snapGuides = null;
+  if (!snapEnabledInput.checked) return { x, y };
+  const extent = layerExtent(layer);
+  const dx = x - layer.state.x;
+  const dy = y - layer.state.y;
+  const grid = parseFloat(snapGridInput.value) || 0;
+  const distance = SNAP_DISTANCE / view.zoom;
+  const snapX = findSnap(
+    [extent.x0 + dx, (extent.x0 + extent.x1) / 2 + dx, extent.x1 + dx],
+    [0, bgImg.width / 2, bgImg.width],
+    grid,
+    distance
+  );
+  const snapY = findSnap(
+    [extent.y0 + dy, (extent.y0 + extent.y1) / 2 + dy, extent.y1 + dy],
+    [0, bgImg.height / 2, bgImg.height],
+    grid,
+    distance
+  );
+  snapGuides = { x: snapX ? [snapX.guide] : [], y: snapY ? [snapY.guide] : [] };
+  return { x: x + (snapX ? snapX.offset : 0), y: y + (snapY ? snapY.offset : 0) };
+}
+
+// Align the selected layer's drawn bounds with the background: `edge` is
+// 'left', 'centre', 'right', 'top', 'middle' or 'bottom'
+function alignActiveLayer(edge) {
+  if (!activeLayer || !bgImg) return;
+  saveState('Align');
+  const extent = layerExtent(activeLayer);
+  const state = activeLayer.state;
+  if (edge === 'left') state.x -= extent.x0;
+  if (edge === 'centre') state.x += bgImg.width / 2 - (extent.x0 + extent.x1) / 2;
+  if (edge === 'right') state.x += bgImg.width - extent.x1;
+  if (edge === 'top') state.y -= extent.y0;
+  if (edge === 'middle') state.y += bgImg.height / 2 - (extent.y0 + extent.y1) / 2;
+  if (edge === 'bottom') state.y += bgImg.height - extent.y1;
+  // The aligned box obeys the same limits as dragging
+  const w = activeLayer.img.width * state.scaleX;
+  const h = activeLayer.img.height * state.scaleY;
+  ({ x: state.x, y: state.y } = constrainToBackground(state.x, state.y, w, h));
+  drawScene();
+  updateUndoRedoButtons();
+}
+
+// Reflect the selected layer's position and size in the transform panel.
+// Called from drawScene so that every change shows up; the field being
+// typed in is left alone.
+function updateTransformPanel() {
+  if (!activeLayer) return;
+  const state = activeLayer.state;
+  const values = {
+    x: state.x,
+    y: state.y,
+    w: activeLayer.img.width * state.scaleX,
+    h: activeLayer.img.height * state.scaleY,
+  };
+  for (const [name, input] of Object.entries(transformInputs)) {
+    if (document.activeElement !== input) input.value = Math.round(values[name] * 10) / 10;
+  }
+  if (document.activeElement !== angleInput) angleInput.value = Math.round(state.angle);
+  clearTimeout(visibilityTimer);
+  visibilityTimer = setTimeout(updateVisibilityText, VISIBILITY_UPDATE_DELAY);
+}
+
+// Show the share of the selected object that will end up in the output
+function updateVisibilityText() {
+  if (!activeLayer || !bgImg) return;
+  const { visible, truncation, occlusion } = layerVisibility(activeLayer, bgImg.width, bgImg.height, occluderMask, 256);
+  const percent = (f) => `${Math.round(f * 100)}%`;
+  transformVisible.textContent = `Visible: ${percent(visible)} (${percent(truncation)} past edge, ${percent(occlusion)} occluded)`;
+}
+
+// Apply an edited transform field. X and Y are the top‑left of the
+// unrotated box; W and H its size, keeping the top‑left in place and the
+// aspect ratio when locked.
+function applyTransformInput(name) {
+  const value = parseFloat(transformInputs[name].value);
+  if (!activeLayer || !bgImg || !Number.isFinite(value)) return;
+  if (!transformEditActive) {
+    saveState('Transform');
+    transformEditActive = true;
+  }
+  const state = activeLayer.state;
+  const img = activeLayer.img;
+  if (name === 'x') state.x = value;
+  if (name === 'y') state.y = value;
+  if (name === 'w' && value > 0) {
+    const factor = value / (img.width * state.scaleX);
+    state.scaleX *= factor;
+    if (transformLockInput.checked) state.scaleY *= factor;
+  }
+  if (name === 'h' && value > 0) {
+    const factor = value / (img.height * state.scaleY);
+    state.scaleY *= factor;
+    if (transformLockInput.checked) state.scaleX *= factor;
+  }
+  // Typed values obey the same limits as resizing and dragging; the field
+  // shows the clamped value once it loses focus
+  const max = maxLayerSize();
+  const shrinkX = Math.min(1, max.w / (img.width * state.scaleX));
+  const shrinkY = Math.min(1, max.h / (img.height * state.scaleY));
+  if (transformLockInput.checked) {
+    state.scaleX *= Math.min(shrinkX, shrinkY);
+    state.scaleY *= Math.min(shrinkX, shrinkY);
+  } else {
+    state.scaleX *= shrinkX;
+    state.scaleY *= shrinkY;
+  }
+  const w = img.width * state.scaleX;
+  const h = img.height * state.scaleY;
+  ({ x: state.x, y: state.y } = constrainToBackground(state.x, state.y, w, h));
+  drawScene();
+}
+
+for (const [name, input] of Object.entries(transformInputs)) {
+  input.addEventListener('input', () => applyTransformInput(name));
+  input.addEventListener('change', () => {
+    transformEditActive = false;
+    updateTransformPanel();
+    updateUndoRedoButtons();
+  });
+}
+for (const edge of ['left', 'centre', 'right', 'top', 'middle', 'bottom']) {
+  document.getElementById(`align-${edge}`).addEventListener('click', () => alignActiveLayer(edge));
+}
+
+// Remember the snap settings
+const storedSnapSettings = loadStoredJson(SNAP_SETTINGS_STORAGE_KEY, { enabled: true, grid: 0 });
+snapEnabledInput.checked = storedSnapSettings.enabled;
+snapGridInput.value = storedSnapSettings.grid;
+for (const input of [snapEnabledInput, snapGridInput]) {
+  input.addEventListener('change', () => {
+    storeJson(SNAP_SETTINGS_STORAGE_KEY, {
+      enabled: snapEnabledInput.checked,
+      grid: Math.max(0, parseFloat(snapGridInput.value) || 0),
+    });
+  });
+}
+
+pastEdgesInput.addEventListener('change', () => {
+  storeJson(PAST_EDGES_STORAGE_KEY, pastEdgesInput.checked);
+  drawScene();
+});
+
+// Helper: the top‑left (x, y) of a w×h layer box moved onto the background.
+// Normally the whole box stays inside; in past edges mode only a strip of
+// MIN_ON_FRAME pixels has to.
+function constrainToBackground(x, y, w, h) {
+  if (pastEdgesInput.checked) {
+    return {
+      x: Math.max(Math.min(MIN_ON_FRAME, w) - w, Math.min(x, bgImg.width - Math.min(MIN_ON_FRAME, w))),
+      y: Math.max(Math.min(MIN_ON_FRAME, h) - h, Math.min(y, bgImg.height - Math.min(MIN_ON_FRAME, h))),
+    };
+  }
+  return {
+    x: Math.max(0, Math.min(x, bgImg.width - w)),
+    y: Math.max(0, Math.min(y, bgImg.height - h)),
+  };
+}
+
+// Helper: the largest width and height a layer may have
+function maxLayerSize() {
+  const factor = pastEdgesInput.checked ? MAX_PAST_EDGES_SIZE : 1;
+  return { w: bgImg.width * factor, h: bgImg.height * factor };
+}
+
+// Smallest scale a layer can be resized to on either axis
+const MIN_LAYER_SCALE = 0.05;
+
+// Resize a layer by dragging `handle` to `local` (the pointer in the layer's
+// local space). Corner handles keep the aspect ratio and edge handles stretch
+// one axis; `toggleAspect` (Shift) swaps that. The side opposite the handle
+// stays put unless `fromCentre` (Alt) is set, which keeps the centre fixed.
+function resizeLayer(layer, handle, local, toggleAspect, fromCentre) {
+  const state = layer.state;
+  const img = layer.img;
+  const w = img.width * state.scaleX;
+  const h = img.height * state.scaleY;
+  // Distance from the fixed side (or the centre) to the pointer
+  const extent = (pointer, size, side) => (fromCentre
+    ? 2 * Math.abs(pointer)
+    : side * (pointer + (side * size) / 2));
+  let newW = handle.hx ? Math.max(1, extent(local.x, w, handle.hx)) : w;
+  let newH = handle.hy ? Math.max(1, extent(local.y, h, handle.hy)) : h;
+  const keepAspect = (handle.type === 'corner') !== toggleAspect;
+  let scaleX = newW / img.width;
+  let scaleY = newH / img.height;
+  // Largest scales that still fit the background (or its past edges limit)
+  const maxSize = maxLayerSize();
+  const maxX = maxSize.w / img.width;
+  const maxY = maxSize.h / img.height;
+  if (keepAspect) {
+    // Scale both axes by one factor: the smaller one for corners, the
+    // dragged axis for edges
+    let factor;
+    if (handle.hx && handle.hy) factor = Math.min(newW / w, newH / h);
+    else factor = handle.hx ? newW / w : newH / h;
+    factor = Math.min(factor, maxX / state.scaleX, maxY / state.scaleY);
+    factor = Math.max(factor, MIN_LAYER_SCALE / state.scaleX, MIN_LAYER_SCALE / state.scaleY);
+    scaleX = state.scaleX * factor;
+    scaleY = state.scaleY * factor;
+  } else {
+    scaleX = Math.max(MIN_LAYER_SCALE, Math.min(scaleX, maxX));
+    scaleY = Math.max(MIN_LAYER_SCALE, Math.min(scaleY, maxY));
+  }
+  newW = img.width * scaleX;
+  newH = img.height * scaleY;
+  // Move the centre so that the opposite side stays where it was
+  const shiftX = fromCentre || !handle.hx ? 0 : (handle.hx * (newW - w)) / 2;
+  const shiftY = fromCentre || !handle.hy ? 0 : (handle.hy * (newH - h)) / 2;
+  const angleRad = (state.angle * Math.PI) / 180;
+  const cx = state.x + w / 2 + shiftX * Math.cos(angleRad) - shiftY * Math.sin(angleRad);
+  const cy = state.y + h / 2 + shiftX * Math.sin(angleRad) + shiftY * Math.cos(angleRad);
+  state.scaleX = scaleX;
+  state.scaleY = scaleY;
+  // Keep the box on the background
+  const position = constrainToBackground(cx - newW / 2, cy - newH / 2, newW, newH);
+  state.x = position.x;
+  state.y = position.y;
+}
+
+// Canvas pointer events for selecting and dragging layers
+canvas.addEventListener('pointerdown', (e) => {
+  if (!bgImg) return;
+  // Space‑drag or middle‑drag pans the view
+  if (spaceHeld || e.button === 1) {
+    panning = { clientX: e.clientX, clientY: e.clientY, viewX: view.x, viewY: view.y };
+    canvas.setPointerCapture(e.pointerId);
+    updateCanvasCursor();
+    e.preventDefault();
+    return;
+  }
+  if (e.button !== 0) return;
+  // Compute pointer coordinates in background image pixels
+  const { x, y } = screenToImage(e.clientX, e.clientY);
+  // Occluder tools work on the background, with or without overlays
+  if (occluderMode === 'polygon') {
+    addOccluderPolygonPoint(x, y);
+    e.preventDefault();
+    return;
+  }
+  if (occluderMode) {
+    startOccluderStroke(x, y);
+    canvas.setPointerCapture(e.pointerId);
+    drawScene();
+    e.preventDefault();
+    return;
+  }
+  if (layers.length === 0) return;
+  const layer = activeLayer;
+  // Eyedropper: sample the key colour from the unkeyed overlay under the pointer
+  if (eyedropperMode) {
+    if (layer) {
+      if (layerContains(layer, x, y)) {
+        const { u, v } = toOverlayPixel(layer, x, y);
+        changeKeySettings(sampleRawOverlay(layer, u, v));
+        keyEditActive = false;
+      }
+    }
+    setEyedropperMode(false);
+    e.preventDefault();
+    return;
+  }
+  // Paint with the erase/restore brush on the selected overlay
+  if (brushMode && layer) {
+    // The layer still has its strokes so far here, so they are what undo restores
+    saveState(brushMode === 'erase' ? 'Erase' : 'Restore');
+    startBrushStroke(layer, x, y);
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+    return;
+  }
+  // If crop mode is active, begin cropping when clicking inside the selected overlay
+  if (cropMode && layer) {
+    const local = toLayerLocal(layer, x, y);
+    // Convert to unscaled local coordinates
+    const unscaledX = local.x / layer.state.scaleX;
+    const unscaledY = local.y / layer.state.scaleY;
+    // Check if inside overlay bounds in unscaled coordinates
+    if (Math.abs(unscaledX) <= layer.originalImg.width / 2 && Math.abs(unscaledY) <= layer.originalImg.height / 2) {
+      cropping = true;
+      cropStart = { x: unscaledX, y: unscaledY };
+      cropEnd = { x: unscaledX, y: unscaledY };
+      canvas.setPointerCapture(e.pointerId);
+      // Draw initial crop rectangle
+      drawScene();
+      e.preventDefault();
+      return;
+    } else {
+      // Clicked outside overlay: cancel crop mode
+      resetCropMode();
+      drawScene();
+      return;
+    }
+  }
+  // Normal interactions: check resize handles of the selected layer first
+  if (layer && layer.visible) {
+    const local = toLayerLocal(layer, x, y);
+    const handleSize = 10 / view.zoom; // constant size in screen pixels
+    for (const handle of layerHandles(layer)) {
+      if (Math.abs(local.x - handle.x) <= handleSize && Math.abs(local.y - handle.y) <= handleSize) {
+        // Save state before resizing, rotating or distorting for undo
+        saveState(distortMode ? 'Distort' : handle.type === 'rotate' ? 'Rotate' : 'Resize');
+        if (distortMode) {
+          if (!layer.state.corners) layer.state.corners = imageCorners(layer.img);
+          distorting = true;
+          distortHandle = handle.corner;
+          canvas.setPointerCapture(e.pointerId);
+          e.preventDefault();
+          return;
+        }
+        if (handle.type === 'rotate') {
+          rotating = true;
+        } else {
+          resizing = true;
+          resizeHandle = handle;
+        }
+        dragging = false;
+        canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+        return;
+      }
+    }
+  }
+  // Pick the front‑most layer under the pointer and start dragging it
+  const hit = hitTestLayers(x, y);
+  if (hit) {
+    if (hit !== activeLayer) selectLayer(hit);
+    // Save state before dragging for undo
+    saveState('Move');
+    const local = toLayerLocal(hit, x, y);
+    dragging = true;
+    dragData.localX = local.x;
+    dragData.localY = local.y;
+    canvas.setPointerCapture(e.pointerId);
+  }
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (panning) {
+    view.x = panning.viewX + e.clientX - panning.clientX;
+    view.y = panning.viewY + e.clientY - panning.clientY;
+    drawScene();
+    return;
+  }
+  if (occluderMode && bgImg) {
+    occluderCursor = screenToImage(e.clientX, e.clientY);
+    if (occluderStroke) continueOccluderStroke(occluderCursor.x, occluderCursor.y);
+    drawScene();
+    return;
+  }
+  if (!activeLayer || !bgImg) return;
+  const overlayImg = activeLayer.img;
+  const overlayState = activeLayer.state;
+  const { x, y } = screenToImage(e.clientX, e.clientY);
+  if (brushMode) {
+    brushCursor = { x, y };
+    if (brushStroke) continueBrushStroke(x, y);
+    drawScene();
+    return;
+  }
+  const { w, h, cx, cy } = toLayerLocal(activeLayer, x, y);
+  const angleRad = (overlayState.angle * Math.PI) / 180;
+  // If cropping, update the end point and redraw
+  if (cropping) {
+    // Compute local coordinates relative to overlay centre, rotated into overlay local space
+    const local = toLayerLocal(activeLayer, x, y);
+    // Convert to unscaled local coordinates
+    const unscaledX = local.x / overlayState.scaleX;
+    const unscaledY = local.y / overlayState.scaleY;
+    cropEnd = { x: unscaledX, y: unscaledY };
+    drawScene();
+    return;
+  }
+  // Move a single corner in distort mode. Corner positions are limited to a
+  // few times the image size and must keep the quad convex.
+  if (distorting) {
+    const p = toLayerUnscaled(activeLayer, x, y);
+    const limit = 2 * Math.max(overlayImg.width, overlayImg.height);
+    const corners = overlayState.corners.map((c, i) => (i === distortHandle
+      ? { x: Math.max(-limit, Math.min(limit, p.x)), y: Math.max(-limit, Math.min(limit, p.y)) }
+      : c));
+    // A new array, since undo snapshots share the old one
+    if (isConvexQuad(corners)) overlayState.corners = corners;
+    drawScene();
+    return;
+  }
+  // Turn with the rotation handle; Shift snaps to 15° steps
+  if (rotating) {
+    let angle = (Math.atan2(y - cy, x - cx) * 180) / Math.PI + 90;
+    if (e.shiftKey) angle = Math.round(angle / 15) * 15;
+    overlayState.angle = normalizeAngle(angle);
+    angleInput.value = Math.round(overlayState.angle);
+    drawScene();
+    return;
+  }
+  // If resizing, adjust the scales based on handle movement
+  if (resizing) {
+    resizeLayer(activeLayer, resizeHandle, toLayerLocal(activeLayer, x, y), e.shiftKey, e.altKey);
+    drawScene();
+    return;
+  }
+  // Handle dragging overlay
+  if (dragging) {
+    // Inverse transform local coords to compute new centre
+    const dx = dragData.localX;
+    const dy = dragData.localY;
+    const globalLocalX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
+    const globalLocalY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
+    const newCx = x - globalLocalX;
+    const newCy = y - globalLocalY;
+    let { x: newX, y: newY } = snapLayerPosition(activeLayer, newCx - w / 2, newCy - h / 2);
+    // Clamp within background bounds
+    ({ x: newX, y: newY } = constrainToBackground(newX, newY, w, h));
+    overlayState.x = newX;
+    overlayState.y = newY;
+    drawScene();
+    return;
+  }
+});
+
+canvas.addEventListener('pointerup', (e) => {
+  if (panning) {
+    panning = null;
+    canvas.releasePointerCapture(e.pointerId);
+    updateCanvasCursor();
+    return;
+  }
+  if (brushStroke) {
+    brushStroke = null;
+    canvas.releasePointerCapture(e.pointerId);
+    brushClearBtn.disabled = false;
+    return;
+  }
+  if (occluderStroke) {
+    occluderStroke = null;
+    canvas.releasePointerCapture(e.pointerId);
+    return;
+  }
+  // If cropping, finalize the crop
+  if (cropping) {
+    cropping = false;
+    cropMode = false;
+    cropBtn.textContent = 'Crop';
+    canvas.releasePointerCapture(e.pointerId);
+    updateCanvasCursor();
+    performCrop();
+    return;
+  }
+  if (dragging || resizing || rotating || distorting) {
+    // A click that did not move anything leaves no undo step
+    discardUnchangedStep();
+  }
+  if (dragging) {
+    dragging = false;
+    snapGuides = null;
+    canvas.releasePointerCapture(e.pointerId);
+    drawScene();
+  }
+  if (resizing) {
+    resizing = false;
+    resizeHandle = null;
+    canvas.releasePointerCapture(e.pointerId);
+  }
+  if (rotating) {
+    rotating = false;
+    canvas.releasePointerCapture(e.pointerId);
+  }
+  if (distorting) {
+    distorting = false;
+    distortHandle = -1;
+    canvas.releasePointerCapture(e.pointerId);
+    refreshLayerUI();
+  }
+});
+
+/* Keyboard shortcuts */
+
+const shortcutsOverlay = document.getElementById('shortcuts-overlay');
+const shortcutsTable = document.getElementById('shortcuts-table');
+const shortcutsResetBtn = document.getElementById('shortcuts-reset');
+const shortcutsCloseBtn = document.getElementById('shortcuts-close');
+const SHORTCUTS_STORAGE_KEY = 'overlayApp.shortcuts';
+// Keys per action, written like "Ctrl+S", "ArrowLeft" or "H". Shift is not
+// part of a binding: it switches the arrow keys to 10 px steps and makes
+// Ctrl+Z redo.
+const DEFAULT_SHORTCUTS = {
+  nudgeLeft: ['ArrowLeft'],
+  nudgeRight: ['ArrowRight'],
+  nudgeUp: ['ArrowUp'],
+  nudgeDown: ['ArrowDown'],
+  bigger: ['+', '='],
+  smaller: ['-'],
+  rotateLeft: ['['],
+  rotateRight: [']'],
+  flipH: ['H'],
+  flipV: ['V'],
+  crop: ['C'],
+  remove: ['Delete'],
+  save: ['Ctrl+S'],
+  undo: ['Ctrl+Z'],
+  redo: ['Ctrl+Y'],
+  nextBackground: ['N'],
+  previousBackground: ['P'],
+  help: ['?'],
+};
+let shortcuts = { ...DEFAULT_SHORTCUTS, ...loadStoredJson(SHORTCUTS_STORAGE_KEY, {}) };
+// Action waiting for its new key in the shortcuts overlay, or null
+let rebindingAction = null;
+// Move the selected layer by (dx, dy) background pixels
+function nudgeActiveLayer(dx, dy) {
+  if (!activeLayer) return;
+  // A burst of nudges is one undo step
+  saveState('Nudge', 'nudge');
+  // Keep the layer on the background, as dragging does
+  const state = activeLayer.state;
+  const w = activeLayer.img.width * state.scaleX;
+  const h = activeLayer.img.height * state.scaleY;
+  ({ x: state.x, y: state.y } = constrainToBackground(state.x + dx, state.y + dy, w, h));
+  drawScene();
+}
+
+// Rotate the selected layer by `degrees`
+function rotateActiveLayer(degrees) {
+  if (!activeLayer) return;
+  saveState('Rotate');
+  activeLayer.state.angle = normalizeAngle(activeLayer.state.angle + degrees);
+  drawScene();
+}
+
+// Helper: click a button unless it is disabled
+function clickButton(button) {
+  if (!button.disabled) button.click();
+}
+
+// What each action does, with the label shown in the shortcuts overlay
+const SHORTCUT_ACTIONS = {
+  nudgeLeft: { label: 'Move left', run: (e) => nudgeActiveLayer(e.shiftKey ? -10 : -1, 0) },
+  nudgeRight: { label: 'Move right', run: (e) => nudgeActiveLayer(e.shiftKey ? 10 : 1, 0) },
+  nudgeUp: { label: 'Move up', run: (e) => nudgeActiveLayer(0, e.shiftKey ? -10 : -1) },
+  nudgeDown: { label: 'Move down', run: (e) => nudgeActiveLayer(0, e.shiftKey ? 10 : 1) },
+  bigger: { label: 'Scale up', run: () => clickButton(biggerBtn) },
+  smaller: { label: 'Scale down', run: () => clickButton(smallerBtn) },
+  rotateLeft: { label: 'Rotate −1°', run: () => rotateActiveLayer(-1) },
+  rotateRight: { label: 'Rotate +1°', run: () => rotateActiveLayer(1) },
+  flipH: { label: 'Flip horizontally', run: () => clickButton(flipHBtn) },
+  flipV: { label: 'Flip vertically', run: () => clickButton(flipVBtn) },
+  crop: { label: 'Crop', run: () => clickButton(cropBtn) },
+  remove: { label: 'Remove overlay', run: () => deleteActiveLayer() },
+  save: { label: 'Save', run: () => clickButton(saveBtn) },
+  undo: { label: 'Undo (with Shift: redo)', run: (e) => (e.shiftKey ? redo() : undo()) },
+  redo: { label: 'Redo', run: () => redo() },
+  nextBackground: { label: 'Next background', run: () => stepBackground(1) },
+  previousBackground: { label: 'Previous background', run: () => stepBackground(-1) },
+  help: { label: 'Show shortcuts', run: () => showShortcuts(true) },
+};
+
+// Helper: the binding string for a key event, or null for bare modifiers
+function shortcutFromEvent(e) {
+  if (['Control', 'Meta', 'Shift', 'Alt'].includes(e.key)) return null;
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  return `${e.ctrlKey || e.metaKey ? 'Ctrl+' : ''}${e.altKey ? 'Alt+' : ''}${key}`;
+}
+
+function showShortcuts(visible) {
+  rebindingAction = null;
+  shortcutsOverlay.hidden = !visible;
+  if (visible) renderShortcuts();
+}
+
+// Rebuild the shortcuts table from the current bindings
+function renderShortcuts() {
+  shortcutsTable.textContent = '';
+  for (const [action, { label }] of Object.entries(SHORTCUT_ACTIONS)) {
+    const row = shortcutsTable.insertRow();
+    row.insertCell().textContent = label;
+    const keysCell = row.insertCell();
+    if (rebindingAction === action) {
+      keysCell.textContent = 'Press a key…';
+    } else {
+      for (const key of shortcuts[action]) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        keysCell.append(kbd, ' ');
+      }
+    }
+    const rebindBtn = document.createElement('button');
+    rebindBtn.textContent = 'Rebind';
+    rebindBtn.addEventListener('click', () => {
+      rebindingAction = action;
+      renderShortcuts();
+    });
+    row.insertCell().appendChild(rebindBtn);
+  }
+}
+
+// Bind `key` to `action` only, taking it away from any other action
+function rebindShortcut(action, key) {
+  for (const name of Object.keys(shortcuts)) {
+    shortcuts[name] = shortcuts[name].filter((k) => k !== key);
+  }
+  shortcuts[action] = [key];
+  storeJson(SHORTCUTS_STORAGE_KEY, shortcuts);
+}
+
+document.addEventListener('keydown', (e) => {
+  const key = shortcutFromEvent(e);
+  if (!key) return;
+  // Capture the new key while rebinding; Escape cancels
+  if (rebindingAction) {
+    e.preventDefault();
+    if (key !== 'Escape') rebindShortcut(rebindingAction, key);
+    rebindingAction = null;
+    renderShortcuts();
+    return;
+  }
+  if (!shortcutsOverlay.hidden) {
+    if (key === 'Escape') showShortcuts(false);
+    return;
+  }
+  if (!exportOverlay.hidden) {
+    if (key === 'Escape') showExportOptions(false);
+    return;
+  }
+  const action = Object.keys(SHORTCUT_ACTIONS).find((name) => shortcuts[name].includes(key));
+  if (!action) return;
+  // Leave typing in text fields alone, so that they keep their own text
+  // undo; only saving works from a field. Checkboxes, sliders, colour and
+  // file inputs take no typing, so shortcuts still work while they have focus
+  const typing = e.target.closest(
+    'textarea, select, input:not([type]), input[type="text"], input[type="number"], input[type="search"]'
+  );
+  if (typing && !(action === 'save' && key.startsWith('Ctrl+'))) return;
+  e.preventDefault();
+  SHORTCUT_ACTIONS[action].run(e);
+});
+
+shortcutsResetBtn.addEventListener('click', () => {
+  shortcuts = { ...DEFAULT_SHORTCUTS };
+  storeJson(SHORTCUTS_STORAGE_KEY, shortcuts);
+  rebindingAction = null;
+  renderShortcuts();
+});
+shortcutsCloseBtn.addEventListener('click', () => showShortcuts(false));
+
+/* Export options */
+
+// MIME type and file extension per export format
+const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', ext: 'png' },
+  jpeg: { mimeType: 'image/jpeg', ext: 'jpg' },
+  webp: { mimeType: 'image/webp', ext: 'webp' },
+};
+
+// Show the current export options in the dialog; quality only applies to
+// the lossy formats and each resize mode has its own field
+function updateExportDialog() {
+  exportFormatSelect.value = exportOptions.format;
+  exportQualityInput.value = exportOptions.quality;
+  exportQualityValue.textContent = exportOptions.quality;
+  exportQualityInput.disabled = exportOptions.format === 'png';
+  exportResizeSelect.value = exportOptions.resize;
+  exportLongEdgeInput.value = exportOptions.longEdge;
+  exportLongEdgeInput.disabled = exportOptions.resize !== 'long-edge';
+  exportPercentInput.value = exportOptions.percent;
+  exportPercentInput.disabled = exportOptions.resize !== 'percent';
+  exportObjectsCheckbox.checked = exportOptions.objects;
+  exportObjectModeSelect.value = exportOptions.objectMode;
+  exportObjectModeSelect.disabled = !exportOptions.objects;
+  for (const [name, inputs] of Object.entries(effectInputs)) {
+    inputs.forEach((input, i) => {
+      input.value = effectRanges[name][i];
+    });
+  }
+}
+
+function showExportOptions(visible) {
+  exportOverlay.hidden = !visible;
+  if (visible) updateExportDialog();
+}
+
+// Read the dialog back into the export options and remember them. Invalid
+// sizes keep their previous value.
+function readExportDialog() {
+  const longEdge = parseInt(exportLongEdgeInput.value, 10);
+  const percent = parseFloat(exportPercentInput.value);
+  exportOptions = {
+    format: exportFormatSelect.value,
+    quality: parseInt(exportQualityInput.value, 10),
+    resize: exportResizeSelect.value,
+    longEdge: longEdge > 0 ? longEdge : exportOptions.longEdge,
+    percent: percent > 0 ? percent : exportOptions.percent,
+    objects: exportObjectsCheckbox.checked,
+    objectMode: exportObjectModeSelect.value,
+  };
+  storeJson(EXPORT_OPTIONS_STORAGE_KEY, exportOptions);
+  const ranges = {};
+  for (const [name, inputs] of Object.entries(effectInputs)) {
+    ranges[name] = inputs.map((input, i) => {
+      const value = parseFloat(input.value);
+      return Number.isFinite(value) && value >= 0 ? value : effectRanges[name][i];
+    });
+  }
+  effectRanges = ranges;
+  storeJson(EFFECTS_STORAGE_KEY, effectRanges);
+  updateExportDialog();
+}
+
+// Helper: the factor by which outputs for a width×height background are
+// scaled under the current resize option
+function exportScale(width, height) {
+  if (exportOptions.resize === 'long-edge') return exportOptions.longEdge / Math.max(width, height);
+  if (exportOptions.resize === 'percent') return exportOptions.percent / 100;
+  return 1;
+}
+
+// Helper: a copy of a layer placed on a background scaled by `factor`
+function scaleLayer(layer, factor) {
+  const copy = copyLayer(layer);
+  copy.state.x *= factor;
+  copy.state.y *= factor;
+  copy.state.scaleX *= factor;
+  copy.state.scaleY *= factor;
+  for (const name of ['blur', 'offsetX', 'offsetY', 'ground']) copy.shadow[name] *= factor;
+  return copy;
+}
+
+// Helper: encode a canvas in an export format. JPEG has no alpha channel,
+// so images that need transparency pass `keepAlpha` and fall back to PNG.
+function encodeCanvas(canvasEl, format, keepAlpha = false) {
+  const chosen = keepAlpha && format === 'jpeg' ? 'png' : format;
+  const { mimeType, ext } = EXPORT_FORMATS[chosen];
+  return { dataUrl: canvasEl.toDataURL(mimeType, exportOptions.quality / 100), ext };
+}
+
+// Helper: a layer rendered as placed (transform, distortion, colour
+// adjustments and opacity) on a transparent canvas trimmed to its visible
+// pixels, or null if nothing is visible. Unlike the composite the object is
+// not clipped to the background.
+function renderPlacedLayer(layer) {
+  const corners = layerCorners(layer);
+  const x0 = Math.floor(Math.min(...corners.map((c) => c.x)));
+  const y0 = Math.floor(Math.min(...corners.map((c) => c.y)));
+  const x1 = Math.ceil(Math.max(...corners.map((c) => c.x)));
+  const y1 = Math.ceil(Math.max(...corners.map((c) => c.y)));
+  if (x1 <= x0 || y1 <= y0) return null;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = x1 - x0;
+  tmpCanvas.height = y1 - y0;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.translate(-x0, -y0);
+  drawLayer(tmpCtx, layer);
+  const bounds = opaqueBounds(tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height));
+  if (!bounds) return null;
+  const trimmed = document.createElement('canvas');
+  trimmed.width = bounds.w;
+  trimmed.height = bounds.h;
+  trimmed.getContext('2d').drawImage(tmpCanvas, -bounds.x, -bounds.y);
+  return trimmed;
+}
+
+exportOptionsBtn.addEventListener('click', () => showExportOptions(true));
+exportCloseBtn.addEventListener('click', () => showExportOptions(false));
+for (const input of [
+  exportFormatSelect, exportResizeSelect, exportLongEdgeInput,
+  exportPercentInput, exportObjectsCheckbox, exportObjectModeSelect,
+  ...Object.values(effectInputs).flat(),
+]) {
+  input.addEventListener('change', readExportDialog);
+}
+exportQualityInput.addEventListener('input', () => {
+  exportQualityValue.textContent = exportQualityInput.value;
+});
+exportQualityInput.addEventListener('change', readExportDialog);
+
+/* Augmentation effects */
+
+// Helper: a value for each of the named effects drawn from its range with
+// random(), rounded so that the recorded values are the ones applied.
+// Fixed values draw nothing, which keeps earlier batch seeds reproducible.
+function sampleEffects(names, random) {
+  const values = {};
+  for (const name of names) {
+    const [min, max] = effectRanges[name];
+    values[name] = min === max ? min : Number(randomBetween(random, min, max).toFixed(2));
+  }
+  return values;
+}
+
+// Helper: a normally distributed number (mean 0, deviation 1) from random()
+function randomGaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Helper: RGBA pixel data as four planes of premultiplied red, green, blue
+// and alpha, so that filtering doesn't pull in the colour of clear pixels
+function premultipliedPlanes(data) {
+  const count = data.length / 4;
+  const planes = [0, 1, 2, 3].map(() => new Float32Array(count));
+  for (let p = 0; p < count; p++) {
+    const alpha = data[p * 4 + 3];
+    for (let c = 0; c < 3; c++) planes[c][p] = (data[p * 4 + c] * alpha) / 255;
+    planes[3][p] = alpha;
+  }
+  return planes;
+}
+
+// Write premultiplied planes back into RGBA pixel data
+function storePlanes(data, planes) {
+  for (let p = 0; p < planes[3].length; p++) {
+    const alpha = planes[3][p];
+    for (let c = 0; c < 3; c++) data[p * 4 + c] = alpha > 0 ? (planes[c][p] * 255) / alpha : 0;
+    data[p * 4 + 3] = alpha;
+  }
+}
+
+// Gaussian blur of RGBA pixel data in place; three box blurs approximate it
+function blurPixels(data, width, height, radius) {
+  const boxRadius = Math.max(1, Math.round(radius / 2));
+  const planes = premultipliedPlanes(data);
+  for (const plane of planes) {
+    for (let pass = 0; pass < 3; pass++) boxBlurAlpha(plane, width, height, boxRadius);
+  }
+  storePlanes(data, planes);
+}
+
+// Motion blur of RGBA pixel data in place: every pixel becomes the mean of
+// the pixels on a line of `length` centred on it, at `angle` degrees.
+// Pixels beyond the edge count as clear.
+function motionBlurPixels(data, width, height, length, angle) {
+  const planes = premultipliedPlanes(data);
+  const blurred = planes.map((plane) => new Float32Array(plane.length));
+  const steps = Math.max(1, Math.round(length));
+  const angleRad = (angle * Math.PI) / 180;
+  // Sample offsets along the line, in whole pixels
+  const offsets = [];
+  for (let k = 0; k <= steps; k++) {
+    const t = (k / steps - 0.5) * length;
+    offsets.push({ x: Math.round(t * Math.cos(angleRad)), y: Math.round(t * Math.sin(angleRad)) });
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      for (const offset of offsets) {
+        const sx = x + offset.x;
+        const sy = y + offset.y;
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+        const q = sy * width + sx;
+        for (let c = 0; c < 4; c++) blurred[c][p] += planes[c][q];
+      }
+      for (let c = 0; c < 4; c++) blurred[c][p] /= offsets.length;
+    }
+  }
+  storePlanes(data, blurred);
+}
+
+// Unsharp mask of RGBA pixel data in place: colours are pushed away from a
+// slightly blurred copy by `amount` percent. Alpha is left untouched.
+function sharpenPixels(data, width, height, amount) {
+  const planes = premultipliedPlanes(data);
+  for (const plane of planes) {
+    for (let pass = 0; pass < 3; pass++) boxBlurAlpha(plane, width, height, 1);
+  }
+  const strength = amount / 100;
+  for (let p = 0; p < planes[3].length; p++) {
+    const alpha = planes[3][p];
+    if (data[p * 4 + 3] === 0 || alpha === 0) continue;
+    for (let c = 0; c < 3; c++) {
+      const soft = (planes[c][p] * 255) / alpha;
+      data[p * 4 + c] = data[p * 4 + c] + (data[p * 4 + c] - soft) * strength;
+    }
+  }
+}
+
+// Add Gaussian noise with deviation `sigma` to each colour channel of the
+// non‑transparent pixels of RGBA pixel data, in place
+function addNoise(data, sigma, random) {
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    for (let c = 0; c < 3; c++) data[i + c] += randomGaussian(random) * sigma;
+  }
+}
+
+// Helper: true if sampled overlay or composite effect values change the
+// image at all
+function hasEffects(values) {
+  return ['blur', 'motion', 'sharpen', 'noise', 'compositeNoise'].some((name) => values[name] > 0) ||
+    values.rescale < 100 || values.jpeg < 100;
+}
+
+// Draw a layer like drawLayer, with sampled overlay `effects` applied to it
+// as placed. The layer is rendered with room around it for the blurs to
+// spread into.
+function drawLayerWithEffects(context, layer, effects, random) {
+  if (!hasEffects(effects)) {
+    drawLayer(context, layer);
+    return;
+  }
+  const { blur, motion, motionAngle, sharpen, noise } = effects;
+  const margin = Math.ceil(3 * blur + motion / 2) + 2;
+  const corners = layerCorners(layer);
+  const x0 = Math.floor(Math.min(...corners.map((c) => c.x))) - margin;
+  const y0 = Math.floor(Math.min(...corners.map((c) => c.y))) - margin;
+  const x1 = Math.ceil(Math.max(...corners.map((c) => c.x))) + margin;
+  const y1 = Math.ceil(Math.max(...corners.map((c) => c.y))) + margin;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = x1 - x0;
+  tmpCanvas.height = y1 - y0;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.translate(-x0, -y0);
+  drawLayer(tmpCtx, layer);
+  const imageData = tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height);
+  const { data, width, height } = imageData;
+  if (blur > 0) blurPixels(data, width, height, blur);
+  if (motion > 0) motionBlurPixels(data, width, height, motion, motionAngle);
+  if (sharpen > 0) sharpenPixels(data, width, height, sharpen);
+  if (noise > 0) addNoise(data, noise, random);
+  tmpCtx.putImageData(imageData, 0, 0);
+  context.drawImage(tmpCanvas, x0, y0);
+}
+
+// Apply sampled composite `effects` to a composite canvas in place:
+// rescaling, then noise, then JPEG re‑compression, which like a camera
+// comes last
+async function applyCompositeEffects(canvasEl, effects, random) {
+  const { width, height } = canvasEl;
+  const context = canvasEl.getContext('2d');
+  if (effects.rescale < 100) {
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.round((width * Math.max(1, effects.rescale)) / 100));
+    small.height = Math.max(1, Math.round((height * Math.max(1, effects.rescale)) / 100));
+    const smallCtx = small.getContext('2d');
+    smallCtx.imageSmoothingQuality = 'high';
+    smallCtx.drawImage(canvasEl, 0, 0, small.width, small.height);
+    context.clearRect(0, 0, width, height);
+    context.drawImage(small, 0, 0, width, height);
+  }
+  if (effects.compositeNoise > 0) {
+    const imageData = context.getImageData(0, 0, width, height);
+    addNoise(imageData.data, effects.compositeNoise, random);
+    context.putImageData(imageData, 0, 0);
+  }
+  if (effects.jpeg < 100) {
+    const jpeg = await loadImage(canvasEl.toDataURL('image/jpeg', Math.max(1, effects.jpeg) / 100));
+    context.clearRect(0, 0, width, height);
+    context.drawImage(jpeg, 0, 0);
+  }
+}
+
+/* Output file names */
+
+// Matches the {n} counter token, with an optional zero‑padded width as in {n:04}
+const COUNTER_TOKEN = /\{n(?::(\d+))?\}/;
+
+// Helper: template token values for a composite of `nameLayers` over the
+// background file `backgroundName`. Per‑object tokens describe the
+// front‑most layer.
+function nameFields(backgroundName, nameLayers) {
+  const front = nameLayers[nameLayers.length - 1];
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    bg: backgroundName ? backgroundName.replace(/\.[^.]+$/, '') : 'output',
+    overlay: front ? front.name : '',
+    label: front ? front.label : '',
+    angle: front ? String(Math.round(front.state.angle)) : '0',
+    scale: front ? Math.sqrt(Math.abs(front.state.scaleX * front.state.scaleY)).toFixed(2) : '1.00',
+    date: `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`,
+  };
+}
+
+// Expand a file name template such as "{bg}_{n:04}". Unknown tokens are
+// left as they are, and characters that are not allowed in file names are
+// replaced.
+function expandTemplate(template, fields, n) {
+  const name = template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+    if (token === 'n') return String(n).padStart(width ? parseInt(width, 10) : 0, '0');
+    return token in fields ? fields[token] : match;
+  });
+  return name.replace(/[\\/:*?"<>|]/g, '_').trim();
+}
+
+// Helper: a directory below the output directory given as a path such as
+// "images/train"; an empty path is the output directory itself
+async function outputDirectory(path, create) {
+  let dir = outputDirHandle;
+  for (const part of path.split('/').filter(Boolean)) {
+    dir = await dir.getDirectoryHandle(part, { create });
   }
-});
+  return dir;
+}
 
-// New session: clear everything
-newBtn.addEventListener('click', () => {
-  bgImg = null;
-  overlayImg = null;
-  overlayOriginalImg = null;
-  overlayState = { x: 0, y: 0, scale: 1, angle: 0, flipH: false, flipV: false };
-  dragData = { localX: 0, localY: 0 };
-  saveCounter = 0;
-  removeOverlayBtn.disabled = true;
-  saveBtn.disabled = true;
-  angleInput.value = 0;
-  controls.style.display = 'none';
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  setOutputBtn.disabled = true;
-  outputDirHandle = null;
-  outputStatus.textContent = '';
-  // Reset crop state and disable crop button
-  cropBtn.disabled = true;
-  cropMode = false;
-  cropping = false;
-  cropStart = null;
-  cropEnd = null;
-  cropBtn.textContent = 'Crop';
-  // Clear undo/redo stacks on new session
-  undoStack.length = 0;
-  redoStack.length = 0;
-  updateUndoRedoButtons();
-});
+// The files already in the output subfolders as { folder, name }, or an
+// empty list when no output directory is selected
+async function existingOutputNames() {
+  const names = [];
+  if (!outputDirHandle) return names;
+  for (const folder of new Set(Object.values(outputFolders))) {
+    let dir;
+    try {
+      dir = await outputDirectory(folder, false);
+    } catch (err) {
+      if (err.name === 'NotFoundError') continue;
+      throw err;
+    }
+    for await (const name of dir.keys()) names.push({ folder, name });
+  }
+  return names;
+}
 
-// Resize overlay
-smallerBtn.addEventListener('click', () => {
-  if (!overlayImg) return;
-  // Save state before scaling for undo
-  saveState();
-  const factor = 1 / 1.10;
-  overlayState.scale *= factor;
-  // Ensure overlay stays within bounds
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  if (bgImg) {
-    overlayState.x = Math.min(overlayState.x, bgImg.width - w);
-    overlayState.y = Math.min(overlayState.y, bgImg.height - h);
+// Helper: true if the existing output file { folder, name } would be
+// overwritten by a save named `baseName` with `objectCount` objects. The
+// composite, its annotation, recipe and masks are "<base>.<ext>"; object
+// images are "<base>_<i>.<ext>" when there are several.
+function outputNameTaken({ folder, name }, baseName, objectCount) {
+  if ((folder === outputFolders.canvas || folder === outputFolders.masks) && name.startsWith(`${baseName}.`)) {
+    return true;
   }
-  drawScene();
-});
-biggerBtn.addEventListener('click', () => {
-  if (!overlayImg) return;
-  // Save state before scaling for undo
-  saveState();
-  const factor = 1.10;
-  // Prevent overlay from exceeding background size
-  const nextScale = overlayState.scale * factor;
-  const w = overlayImg.width * Math.abs(nextScale);
-  const h = overlayImg.height * Math.abs(nextScale);
-  if (bgImg && (w > bgImg.width || h > bgImg.height)) return;
-  overlayState.scale = nextScale;
-  drawScene();
-});
+  if (folder !== outputFolders.objects || !exportOptions.objects) return false;
+  const objectNames = objectCount === 1
+    ? [baseName]
+    : Array.from({ length: objectCount }, (_, i) => `${baseName}_${i + 1}`);
+  return objectNames.some((objectName) => name.startsWith(`${objectName}.`));
+}
 
-// Angle input
-angleInput.addEventListener('input', (e) => {
-  // Save state before changing angle via input
-  saveState();
-  const val = parseFloat(e.target.value) || 0;
-  let angle = val;
-  if (angle > 180) angle -= 360;
-  if (angle < -180) angle += 360;
-  overlayState.angle = angle;
-  drawScene();
-});
+// Choose the base name for the next composite of `objectCount` objects.
+// Numbers from `first` on are tried until none of the files it would write
+// is among the existing files `taken` ({ folder, name }, see
+// existingOutputNames). Templates without {n} try the plain name first and
+// then append _1, _2, … Returns { baseName, n }.
+function chooseBaseName(template, fields, first, taken, objectCount) {
+  const counted = COUNTER_TOKEN.test(template);
+  for (let n = counted ? Math.max(first, 1) : first; ; n++) {
+    let baseName = expandTemplate(template, fields, n) || 'output';
+    if (!counted && n > 0) baseName = `${baseName}_${n}`;
+    if (!taken.some((file) => outputNameTaken(file, baseName, objectCount))) return { baseName, n };
+  }
+}
 
-// Rotation buttons
-rotM5Btn.addEventListener('click', () => {
-  // Save state before rotating for undo
-  saveState();
-  overlayState.angle = normalizeAngle(overlayState.angle - 5);
-  angleInput.value = Math.round(overlayState.angle);
-  drawScene();
-});
-rotP5Btn.addEventListener('click', () => {
-  // Save state before rotating for undo
-  saveState();
-  overlayState.angle = normalizeAngle(overlayState.angle + 5);
-  angleInput.value = Math.round(overlayState.angle);
-  drawScene();
-});
-rotResetBtn.addEventListener('click', () => {
-  // Save state before resetting rotation for undo
-  saveState();
-  overlayState.angle = 0;
-  angleInput.value = 0;
-  drawScene();
+outputTemplateInput.addEventListener('change', () => {
+  storeJson(OUTPUT_TEMPLATE_STORAGE_KEY, outputTemplateInput.value);
 });
+for (const [key, input] of Object.entries(outputFolderInputs)) {
+  input.value = outputFolders[key];
+  input.addEventListener('change', () => {
+    // Folder paths use forward slashes without leading or trailing ones
+    outputFolders[key] = input.value.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    input.value = outputFolders[key];
+    storeJson(OUTPUT_FOLDERS_STORAGE_KEY, outputFolders);
+  });
+}
 
-// Flip buttons
-flipHBtn.addEventListener('click', () => {
-  // Save state before flipping horizontally for undo
-  saveState();
-  overlayState.flipH = !overlayState.flipH;
-  drawScene();
-});
-flipVBtn.addEventListener('click', () => {
-  // Save state before flipping vertically for undo
-  saveState();
-  overlayState.flipV = !overlayState.flipV;
-  drawScene();
+/* Annotation export */
+
+annotationFormatSelect.addEventListener('change', () => {
+  storeJson(ANNOTATION_FORMAT_STORAGE_KEY, annotationFormatSelect.value);
 });
+for (const input of [maskFormatSelect, exportGeometryCheckbox]) {
+  input.addEventListener('change', () => {
+    storeJson(MASK_OPTIONS_STORAGE_KEY, {
+      format: maskFormatSelect.value,
+      geometry: exportGeometryCheckbox.checked,
+    });
+  });
+}
 
-// Normalize angle to [-180, 180]
-function normalizeAngle(angle) {
-  let a = angle;
-  while (a > 180) a -= 360;
-  while (a < -180) a += 360;
-  return a;
+// Helper: the four corners of a layer in canvas coordinates, in the order
+// top‑left, top‑right, bottom‑right, bottom‑left of the overlay image. For a
+// distorted layer these are the corners of the warped quadrilateral.
+function layerCorners(layer) {
+  const state = layer.state;
+  const w = layer.img.width * state.scaleX;
+  const h = layer.img.height * state.scaleY;
+  const cx = state.x + w / 2;
+  const cy = state.y + h / 2;
+  const angleRad = (state.angle * Math.PI) / 180;
+  const cos = Math.cos(angleRad);
+  const sin = Math.sin(angleRad);
+  return layerQuad(layer).map((p) => ({ x: cx + p.x * cos - p.y * sin, y: cy + p.x * sin + p.y * cos }));
 }
 
-// Canvas pointer events for dragging
-canvas.addEventListener('pointerdown', (e) => {
-  if (!overlayImg || !bgImg) return;
-  // Save state before any interaction (dragging/resizing/cropping) for undo
-  saveState();
-  // Compute pointer coordinates relative to canvas pixel space
-  const rect = canvas.getBoundingClientRect();
-  const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
-  const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
-  // Compute overlay dimensions in scaled units
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  const cx = overlayState.x + w / 2;
-  const cy = overlayState.y + h / 2;
-  // Translate to centre and rotate into overlay local space (scaled coordinates)
-  const dx = x - cx;
-  const dy = y - cy;
-  const angleRad = (-overlayState.angle * Math.PI) / 180;
-  const localX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
-  const localY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-  // If crop mode is active, begin cropping when clicking inside overlay
-  if (cropMode) {
-    // Convert to unscaled local coordinates
-    const unscaledX = localX / overlayState.scale;
-    const unscaledY = localY / overlayState.scale;
-    // Check if inside overlay bounds in unscaled coordinates
-    if (Math.abs(unscaledX) <= overlayOriginalImg.width / 2 && Math.abs(unscaledY) <= overlayOriginalImg.height / 2) {
-      cropping = true;
-      cropStart = { x: unscaledX, y: unscaledY };
-      cropEnd = { x: unscaledX, y: unscaledY };
-      canvas.setPointerCapture(e.pointerId);
-      // Draw initial crop rectangle
-      drawScene();
-      e.preventDefault();
-      return;
-    } else {
-      // Clicked outside overlay: cancel crop mode
-      cropMode = false;
-      cropping = false;
-      cropStart = null;
-      cropEnd = null;
-      cropBtn.textContent = 'Crop';
-      drawScene();
-      return;
+// Helper: axis‑aligned bounding box of a layer's visible (non‑transparent)
+// pixels as drawn on a width×height image, or null if nothing is visible.
+// The layer is rendered with drawLayer so rotation, scale, flip and crop are
+// all accounted for; only the area under the rotated box is scanned. Pixels
+// hidden by an `occluder` mask of the image's size do not count.
+function computeLayerBounds(layer, width, height, occluder = null) {
+  const corners = layerCorners(layer);
+  const x0 = Math.max(0, Math.floor(Math.min(...corners.map((c) => c.x))));
+  const y0 = Math.max(0, Math.floor(Math.min(...corners.map((c) => c.y))));
+  const x1 = Math.min(width, Math.ceil(Math.max(...corners.map((c) => c.x))));
+  const y1 = Math.min(height, Math.ceil(Math.max(...corners.map((c) => c.y))));
+  if (x1 <= x0 || y1 <= y0) return null;
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = x1 - x0;
+  tmpCanvas.height = y1 - y0;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.translate(-x0, -y0);
+  drawLayer(tmpCtx, layer, true);
+  if (occluder) {
+    tmpCtx.globalCompositeOperation = 'destination-out';
+    tmpCtx.drawImage(occluder, 0, 0);
+  }
+  const bounds = opaqueBounds(tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height));
+  return bounds && { ...bounds, x: x0 + bounds.x, y: y0 + bounds.y };
+}
+
+// Helper: bounding box { x, y, w, h } of the non‑transparent pixels in
+// ImageData, or null if every pixel is transparent
+function opaqueBounds({ data, width, height }) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
     }
   }
-  // Normal interactions: check resize handles first
-  if (overlayImg) {
-    const handleSize = 10; // constant size in canvas pixels
-    const corners = [
-      { x: -w / 2, y: -h / 2 }, // top‑left
-      { x: w / 2, y: -h / 2 },  // top‑right
-      { x: w / 2, y: h / 2 },   // bottom‑right
-      { x: -w / 2, y: h / 2 }   // bottom‑left
-    ];
-    for (let i = 0; i < 4; i++) {
-      const c = corners[i];
-      if (Math.abs(localX - c.x) <= handleSize && Math.abs(localY - c.y) <= handleSize) {
-        resizing = true;
-        resizeHandle = i;
-        dragging = false;
-        canvas.setPointerCapture(e.pointerId);
-        e.preventDefault();
-        return;
-      }
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// Helper: how much of a layer's object (alpha at or above
+// MASK_ALPHA_THRESHOLD) shows on a width×height image. Returns fractions of
+// the whole object as { visible, truncation, occlusion } — truncation is the
+// part past the image edges and occlusion the part hidden by an `occluder`
+// mask of the image's size — plus `extent`, the object's bounding box
+// { x, y, w, h } including the parts past the edges (null if the layer is
+// empty). Large layers are measured at most `maxSize` pixels across.
+function layerVisibility(layer, width, height, occluder = null, maxSize = Infinity) {
+  const none = { visible: 0, truncation: 0, occlusion: 0, extent: null };
+  const corners = layerCorners(layer);
+  const x0 = Math.floor(Math.min(...corners.map((c) => c.x)));
+  const y0 = Math.floor(Math.min(...corners.map((c) => c.y)));
+  const x1 = Math.ceil(Math.max(...corners.map((c) => c.x)));
+  const y1 = Math.ceil(Math.max(...corners.map((c) => c.y)));
+  if (x1 <= x0 || y1 <= y0) return none;
+  const scale = Math.min(1, maxSize / Math.max(x1 - x0, y1 - y0));
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = Math.max(1, Math.ceil((x1 - x0) * scale));
+  tmpCanvas.height = Math.max(1, Math.ceil((y1 - y0) * scale));
+  const tmpCtx = tmpCanvas.getContext('2d');
+  tmpCtx.scale(scale, scale);
+  tmpCtx.translate(-x0, -y0);
+  drawLayer(tmpCtx, layer, true);
+  const countObject = () => {
+    const data = tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height).data;
+    let count = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] >= MASK_ALPHA_THRESHOLD) count++;
     }
+    return count;
+  };
+  const total = countObject();
+  if (total === 0) return none;
+  const bounds = opaqueBounds(tmpCtx.getImageData(0, 0, tmpCanvas.width, tmpCanvas.height));
+  const extent = {
+    x: x0 + Math.floor(bounds.x / scale),
+    y: y0 + Math.floor(bounds.y / scale),
+    w: Math.ceil(bounds.w / scale),
+    h: Math.ceil(bounds.h / scale),
+  };
+  // Keep only the part on the image, then remove what the occluder hides
+  tmpCtx.globalCompositeOperation = 'destination-in';
+  tmpCtx.fillRect(0, 0, width, height);
+  const inFrame = countObject();
+  let visible = inFrame;
+  if (occluder) {
+    tmpCtx.globalCompositeOperation = 'destination-out';
+    tmpCtx.drawImage(occluder, 0, 0);
+    visible = countObject();
   }
-  // If within overlay bounds, start dragging
-  if (Math.abs(localX) <= w / 2 && Math.abs(localY) <= h / 2) {
-    dragging = true;
-    dragData.localX = localX;
-    dragData.localY = localY;
-    canvas.setPointerCapture(e.pointerId);
+  return {
+    visible: visible / total,
+    truncation: (total - inFrame) / total,
+    occlusion: (inFrame - visible) / total,
+    extent,
+  };
+}
+
+/* Segmentation export */
+
+// Pixels at or above this alpha count as object in masks and polygons
+const MASK_ALPHA_THRESHOLD = 128;
+
+// Helper: per‑pixel instance ids for a width×height image. Each layer is
+// rendered with drawLayer like the composite (without colour adjustments or
+// opacity), and layers further front overwrite those behind them. 0 is
+// background, layer i is i + 1; pixels covered by an `occluder` mask of the
+// image's size are background too.
+function buildInstanceMask(maskLayers, width, height, occluder = null) {
+  const ids = new Uint8Array(width * height);
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = width;
+  tmpCanvas.height = height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  maskLayers.forEach((layer, i) => {
+    tmpCtx.clearRect(0, 0, width, height);
+    drawLayer(tmpCtx, layer, true);
+    const data = tmpCtx.getImageData(0, 0, width, height).data;
+    for (let p = 0; p < ids.length; p++) {
+      if (data[p * 4 + 3] >= MASK_ALPHA_THRESHOLD) ids[p] = i + 1;
+    }
+  });
+  if (occluder) {
+    tmpCtx.clearRect(0, 0, width, height);
+    tmpCtx.drawImage(occluder, 0, 0);
+    const data = tmpCtx.getImageData(0, 0, width, height).data;
+    for (let p = 0; p < ids.length; p++) {
+      if (data[p * 4 + 3] >= MASK_ALPHA_THRESHOLD) ids[p] = 0;
+    }
   }
-});
+  return ids;
+}
 
-canvas.addEventListener('pointermove', (e) => {
-  if (!overlayImg || !bgImg) return;
-  const rect = canvas.getBoundingClientRect();
-  const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
-  const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  const cx = overlayState.x + w / 2;
-  const cy = overlayState.y + h / 2;
-  const angleRad = (overlayState.angle * Math.PI) / 180;
-  // If cropping, update the end point and redraw
-  if (cropping) {
-    const rectMov = canvas.getBoundingClientRect();
-    const px = ((e.clientX - rectMov.left) / rectMov.width) * canvas.width;
-    const py = ((e.clientY - rectMov.top) / rectMov.height) * canvas.height;
-    // Compute local coordinates relative to overlay centre, rotated into overlay local space
-    const dxp = px - cx;
-    const dyp = py - cy;
-    const angleR = (-overlayState.angle * Math.PI) / 180;
-    const localXS = dxp * Math.cos(angleR) - dyp * Math.sin(angleR);
-    const localYS = dxp * Math.sin(angleR) + dyp * Math.cos(angleR);
-    // Convert to unscaled local coordinates
-    const unscaledX = localXS / overlayState.scale;
-    const unscaledY = localYS / overlayState.scale;
-    cropEnd = { x: unscaledX, y: unscaledY };
-    drawScene();
-    return;
+// Helper: encode instance ids as a PNG data URL. Binary masks are white on
+// black; instance masks store the instance id in every channel.
+function instanceMaskToDataUrl(ids, width, height, binary) {
+  const tmpCanvas = document.createElement('canvas');
+  tmpCanvas.width = width;
+  tmpCanvas.height = height;
+  const tmpCtx = tmpCanvas.getContext('2d');
+  const imageData = tmpCtx.createImageData(width, height);
+  const data = imageData.data;
+  for (let p = 0; p < ids.length; p++) {
+    const v = binary ? (ids[p] ? 255 : 0) : ids[p];
+    data[p * 4] = v;
+    data[p * 4 + 1] = v;
+    data[p * 4 + 2] = v;
+    data[p * 4 + 3] = 255;
   }
-  // If resizing, adjust scale based on handle movement
-  if (resizing) {
-    // Transform pointer into overlay local space (accounting for rotation)
-    const dxPointer = x - cx;
-    const dyPointer = y - cy;
-    const localX = dxPointer * Math.cos(-angleRad) - dyPointer * Math.sin(-angleRad);
-    const localY = dxPointer * Math.sin(-angleRad) + dyPointer * Math.cos(-angleRad);
-    // Determine new half‑width and half‑height based on pointer
-    // We use absolute values since scale applies symmetrically about centre
-    const halfW = Math.abs(localX);
-    const halfH = Math.abs(localY);
-    // Compute provisional scale factors along each axis
-    const scaleX = (2 * halfW) / overlayImg.width;
-    const scaleY = (2 * halfH) / overlayImg.height;
-    // Maintain aspect ratio by choosing the smaller scale (so the overlay fits within the dragged rectangle)
-    let newScale = Math.min(scaleX, scaleY);
-    // Clamp newScale to a reasonable range
-    const maxScale = Math.min(bgImg.width / overlayImg.width, bgImg.height / overlayImg.height);
-    newScale = Math.min(newScale, maxScale);
-    const minScale = 0.05;
-    if (newScale < minScale) newScale = minScale;
-    // Update overlay scale
-    overlayState.scale = newScale;
-    // Recalculate new width and height
-    const newW = overlayImg.width * newScale;
-    const newH = overlayImg.height * newScale;
-    // Keep centre fixed during resize
-    overlayState.x = cx - newW / 2;
-    overlayState.y = cy - newH / 2;
-    // Clamp x,y to keep overlay inside background
-    overlayState.x = Math.max(0, Math.min(overlayState.x, bgImg.width - newW));
-    overlayState.y = Math.max(0, Math.min(overlayState.y, bgImg.height - newH));
-    drawScene();
-    return;
+  tmpCtx.putImageData(imageData, 0, 0);
+  return tmpCanvas.toDataURL('image/png');
+}
+
+// Helper: outer outlines of every connected region of instance `id`, as
+// polygons [x1, y1, x2, y2, ...] through pixel centres. Regions are found by
+// flood fill and outlined by radial‑sweep boundary tracing, then simplified.
+// Holes are not traced; regions smaller than `minArea` pixels are skipped.
+function traceInstancePolygons(ids, width, height, id, minArea = 4) {
+  const visited = new Uint8Array(ids.length);
+  const polygons = [];
+  for (let start = 0; start < ids.length; start++) {
+    if (ids[start] !== id || visited[start]) continue;
+    // Flood fill (8‑connected) to mark the region and measure its area
+    let area = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length) {
+      const p = stack.pop();
+      area++;
+      const px = p % width;
+      const py = (p - px) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = px + dx;
+          const ny = py + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (ids[n] === id && !visited[n]) {
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    if (area < minArea) continue;
+    // The first pixel in raster order is on the outer boundary
+    const contour = traceBoundary(ids, width, height, id, start % width, Math.floor(start / width));
+    const simplified = simplifyPolygon(contour, 1);
+    polygons.push(simplified.flatMap((pt) => [pt.x + 0.5, pt.y + 0.5]));
   }
-  // Handle dragging overlay
-  if (dragging) {
-    // Inverse transform local coords to compute new centre
-    const dx = dragData.localX;
-    const dy = dragData.localY;
-    const globalLocalX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
-    const globalLocalY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-    const newCx = x - globalLocalX;
-    const newCy = y - globalLocalY;
-    let newX = newCx - w / 2;
-    let newY = newCy - h / 2;
-    // Clamp within background bounds
-    newX = Math.max(0, Math.min(newX, bgImg.width - w));
-    newY = Math.max(0, Math.min(newY, bgImg.height - h));
-    overlayState.x = newX;
-    overlayState.y = newY;
-    drawScene();
-    return;
+  return polygons;
+}
+
+// Helper: trace the outer boundary of the region containing (sx, sy), whose
+// west neighbour must be outside the region. Neighbours are searched
+// clockwise starting from the previous boundary pixel.
+function traceBoundary(ids, width, height, id, sx, sy) {
+  // W, NW, N, NE, E, SE, S, SW (clockwise with y pointing down)
+  const dxs = [-1, -1, 0, 1, 1, 1, 0, -1];
+  const dys = [0, -1, -1, -1, 0, 1, 1, 1];
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && ids[y * width + x] === id;
+  const points = [{ x: sx, y: sy }];
+  let x = sx;
+  let y = sy;
+  let back = 0; // direction of the previous boundary pixel (start: west)
+  let second = null;
+  const maxSteps = 4 * width * height;
+  for (let step = 0; step < maxSteps; step++) {
+    let found = -1;
+    for (let k = 1; k <= 8; k++) {
+      const d = (back + k) % 8;
+      if (inside(x + dxs[d], y + dys[d])) {
+        found = d;
+        break;
+      }
+    }
+    // Isolated pixel
+    if (found < 0) break;
+    x += dxs[found];
+    y += dys[found];
+    back = (found + 4) % 8;
+    if (second === null) {
+      second = { x, y };
+    } else if (points.length > 1 && x === second.x && y === second.y &&
+      points[points.length - 1].x === sx && points[points.length - 1].y === sy) {
+      // Back at the start and about to repeat the first step
+      points.pop();
+      break;
+    }
+    points.push({ x, y });
   }
-});
+  return points;
+}
 
-canvas.addEventListener('pointerup', (e) => {
-  // If cropping, finalize the crop
-  if (cropping) {
-    cropping = false;
-    cropMode = false;
-    cropBtn.textContent = 'Crop';
-    canvas.releasePointerCapture(e.pointerId);
-    performCrop();
-    return;
+// Helper: Ramer–Douglas–Peucker simplification of a closed polygon
+function simplifyPolygon(points, epsilon) {
+  if (points.length <= 3) return points;
+  const simplify = (pts) => {
+    if (pts.length <= 2) return pts;
+    const a = pts[0];
+    const b = pts[pts.length - 1];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    let maxDist = -1;
+    let index = 0;
+    for (let i = 1; i < pts.length - 1; i++) {
+      const p = pts[i];
+      const dist = len === 0
+        ? Math.hypot(p.x - a.x, p.y - a.y)
+        : Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len;
+      if (dist > maxDist) {
+        maxDist = dist;
+        index = i;
+      }
+    }
+    if (maxDist <= epsilon) return [a, b];
+    const left = simplify(pts.slice(0, index + 1));
+    const right = simplify(pts.slice(index));
+    return left.slice(0, -1).concat(right);
+  };
+  // Split the closed ring at its farthest point from the start
+  let far = 0;
+  let farDist = -1;
+  for (let i = 1; i < points.length; i++) {
+    const dist = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (dist > farDist) {
+      farDist = dist;
+      far = i;
+    }
   }
-  if (dragging) {
-    dragging = false;
-    canvas.releasePointerCapture(e.pointerId);
+  const first = simplify(points.slice(0, far + 1));
+  const second = simplify(points.slice(far).concat([points[0]]));
+  return first.slice(0, -1).concat(second.slice(0, -1));
+}
+
+// Helper: rotated bounding box of a layer: centre, scaled size, angle in
+// degrees and the four corners in canvas coordinates (for a distorted layer,
+// the corners of the warped quadrilateral)
+function layerRotatedBox(layer) {
+  const state = layer.state;
+  const w = layer.img.width * state.scaleX;
+  const h = layer.img.height * state.scaleY;
+  return {
+    cx: state.x + w / 2,
+    cy: state.y + h / 2,
+    width: w,
+    height: h,
+    angle: state.angle,
+    corners: layerCorners(layer).map((c) => [c.x, c.y]),
+  };
+}
+
+// Helper: numeric class id for a label, registering new labels
+function classIdFor(label) {
+  let id = classNames.indexOf(label);
+  if (id < 0) {
+    classNames.push(label);
+    storeJson(CLASS_NAMES_STORAGE_KEY, classNames);
+    id = classNames.length - 1;
   }
-  if (resizing) {
-    resizing = false;
-    resizeHandle = -1;
-    canvas.releasePointerCapture(e.pointerId);
+  return id;
+}
+
+// Helper: escape text for XML element content
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Helper: encode text as a data URL so it can be written like the images
+function textToDataUrl(text, mimeType) {
+  return `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`;
+}
+
+// Objects with at least this fraction hidden by occluders are marked as
+// occluded in Pascal VOC annotations
+const OCCLUDED_FRACTION = 0.15;
+
+// Build an annotation file for one composite. `boxes` holds
+// { label, x, y, w, h, truncation, occlusion } in pixels, with truncation
+// and occlusion the fractions of the object past the image edges and hidden
+// by occluders. `folder` is the output folder of the image, named in Pascal
+// VOC files. Returns { ext, mimeType, text }.
+function buildAnnotation(format, imageName, folder, width, height, boxes) {
+  if (format === 'yolo') {
+    // One line per object: class x_centre y_centre width height (normalised)
+    const lines = boxes.map((b) => [
+      classIdFor(b.label),
+      ((b.x + b.w / 2) / width).toFixed(6),
+      ((b.y + b.h / 2) / height).toFixed(6),
+      (b.w / width).toFixed(6),
+      (b.h / height).toFixed(6),
+    ].join(' '));
+    return { ext: 'txt', mimeType: 'text/plain', text: lines.join('\n') + '\n' };
   }
-  // Update undo/redo button states after any interaction
-  updateUndoRedoButtons();
-});
+  if (format === 'coco') {
+    const categories = [];
+    const annotations = boxes.map((b, i) => {
+      const categoryId = classIdFor(b.label) + 1;
+      if (!categories.some((c) => c.id === categoryId)) {
+        categories.push({ id: categoryId, name: b.label });
+      }
+      return {
+        id: i + 1,
+        image_id: 1,
+        category_id: categoryId,
+        bbox: [b.x, b.y, b.w, b.h],
+        area: b.w * b.h,
+        iscrowd: 0,
+      };
+    });
+    const coco = {
+      images: [{ id: 1, file_name: imageName, width, height }],
+      annotations,
+      categories,
+    };
+    return { ext: 'json', mimeType: 'application/json', text: JSON.stringify(coco, null, 2) };
+  }
+  // Pascal VOC XML
+  const objects = boxes.map((b) => `  <object>
+    <name>${escapeXml(b.label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>${b.truncation > 0 ? 1 : 0}</truncated>
+    <occluded>${b.occlusion >= OCCLUDED_FRACTION ? 1 : 0}</occluded>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${b.x}</xmin>
+      <ymin>${b.y}</ymin>
+      <xmax>${b.x + b.w}</xmax>
+      <ymax>${b.y + b.h}</ymax>
+    </bndbox>
+  </object>
+`).join('');
+  const xml = `<annotation>
+  <folder>${escapeXml(folder)}</folder>
+  <filename>${escapeXml(imageName)}</filename>
+  <size>
+    <width>${width}</width>
+    <height>${height}</height>
+    <depth>3</depth>
+  </size>
+${objects}</annotation>
+`;
+  return { ext: 'xml', mimeType: 'application/xml', text: xml };
+}
 
 // Save outputs (async to allow writing files via File System Access API)
 saveBtn.addEventListener('click', async () => {
-  if (!bgImg || !overlayImg) return;
-  // Determine base name for output
-  let prefix = outputPrefixInput.value.trim();
-  if (!prefix) {
-    // default: use background file name if available
-    const bgFile = bgInput.files[0];
-    if (bgFile) {
-      const name = bgFile.name;
-      prefix = name.replace(/\.[^.]+$/, '');
-    } else {
-      prefix = 'output';
-    }
+  const visibleLayers = layers.filter((layer) => layer.visible);
+  if (!bgImg || visibleLayers.length === 0) return;
+  // Determine a base name from the template (the background file name by
+  // default) that no file in the output directory uses yet
+  let taken = [];
+  try {
+    taken = await existingOutputNames();
+  } catch (err) {
+    console.warn('Could not list the output directory:', err);
   }
-  // Compose composite canvas
-  const canvasComposite = document.createElement('canvas');
-  canvasComposite.width = bgImg.width;
-  canvasComposite.height = bgImg.height;
-  const ctxC = canvasComposite.getContext('2d');
-  ctxC.drawImage(bgImg, 0, 0);
-  const w = overlayImg.width * overlayState.scale;
-  const h = overlayImg.height * overlayState.scale;
-  const cx = overlayState.x + w / 2;
-  const cy = overlayState.y + h / 2;
-  ctxC.save();
-  ctxC.translate(cx, cy);
-  ctxC.rotate((overlayState.angle * Math.PI) / 180);
-  const sx = overlayState.flipH ? -1 : 1;
-  const sy = overlayState.flipV ? -1 : 1;
-  ctxC.scale(sx, sy);
-  ctxC.scale(overlayState.scale, overlayState.scale);
-  ctxC.drawImage(
-    overlayImg,
-    -overlayImg.width / 2,
-    -overlayImg.height / 2
-  );
-  ctxC.restore();
-  const compositeDataUrl = canvasComposite.toDataURL('image/png');
-  // Create overlay-only canvas (original keyed)
-  const canvasObj = document.createElement('canvas');
-  canvasObj.width = overlayOriginalImg.width;
-  canvasObj.height = overlayOriginalImg.height;
-  const ctxO = canvasObj.getContext('2d');
-  ctxO.drawImage(overlayOriginalImg, 0, 0);
-  const objectDataUrl = canvasObj.toDataURL('image/png');
-  // Determine unique base name
-  const baseName = saveCounter === 0 ? prefix : `${prefix}_${saveCounter}`;
-  saveCounter++;
-  const canvasName = `${baseName}.png`;
-  const objectName = `${baseName}.png`;
+  const template = outputTemplateInput.value.trim() || '{bg}';
+  const fields = nameFields(bgName, visibleLayers);
+  const { baseName, n } = chooseBaseName(template, fields, saveCounter, taken, visibleLayers.length);
+  let outputs;
+  try {
+    await sourceHashesReady(visibleLayers);
+    outputs = await buildOutputs(bgImg, { file: bgName, sha256: bgHash }, visibleLayers, baseName, occluderMask);
+  } catch (err) {
+    console.error('Error rendering the outputs:', err);
+    alert(`Could not save: ${err.message}`);
+    return;
+  }
+  // Only a successful save uses up its number
+  saveCounter = n + 1;
   // If outputDirHandle is selected, write to disk using File System Access API
+  const autoAdvance = bgAutoAdvanceCheckbox.checked && backgroundIndex < backgroundFiles.length - 1;
   if (outputDirHandle) {
     try {
-      // Create subdirectories if not existing
-      const canvasDir = await outputDirHandle.getDirectoryHandle('Canvas', { create: true });
-      const objectsDir = await outputDirHandle.getDirectoryHandle('objects', { create: true });
-      // Write composite
-      await writeDataUrlToFile(canvasDir, canvasName, compositeDataUrl);
-      await writeDataUrlToFile(objectsDir, objectName, objectDataUrl);
-      alert(`Saved to ${canvasDir.name}/${canvasName} and ${objectsDir.name}/${objectName}`);
+      const written = await writeOutputs(outputs);
+      // When moving straight on to the next background the status line is
+      // enough; a dialog after every save would get in the way
+      if (autoAdvance) {
+        outputStatus.textContent = `Output: ${outputDirHandle.name} (saved ${baseName})`;
+      } else {
+        alert(`Saved to ${written.join(', ')}`);
+      }
     } catch (err) {
       console.error('Error writing files via File System Access API:', err);
       // Fallback to download
-      downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
-      downloadDataUrl(objectDataUrl, `objects_${objectName}`);
+      downloadOutputs(outputs);
     }
   } else {
-    // Download via anchor; embed folder names in file name to differentiate
-    downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
-    downloadDataUrl(objectDataUrl, `objects_${objectName}`);
+    downloadOutputs(outputs);
   }
+  markBackgroundSaved();
+  if (autoAdvance) stepBackground(1);
 });
 
+// Render every output file for one composite of `visibleLayers` over
+// `background`: the composite, one object image per layer, the recipe
+// sidecar and, depending on the export options, annotations, masks and
+// geometry. `backgroundSource` describes the background file as
+// { file, sha256 } and `occluderMask`, if given, the background parts in
+// front of the layers. Augmentation effects are sampled with `random`.
+// Resolves to a list of { folder, name, dataUrl }.
+async function buildOutputs(background, backgroundSource, visibleLayers, baseName, occluderMask = null, random = Math.random) {
+  // Outputs are rendered at the export size, with the layers placed
+  // accordingly, so annotations and masks match the written composite.
+  // They are taken from the objects before augmentation effects: blurring
+  // spreads an object's pixels but doesn't move its true outline.
+  const factor = exportScale(background.width, background.height);
+  const width = Math.max(1, Math.round(background.width * factor));
+  const height = Math.max(1, Math.round(background.height * factor));
+  const placedLayers = factor === 1 ? visibleLayers : visibleLayers.map((layer) => scaleLayer(layer, factor));
+  let occluder = null;
+  if (occluderMask) {
+    occluder = document.createElement('canvas');
+    occluder.width = width;
+    occluder.height = height;
+    occluder.getContext('2d').drawImage(occluderMask, 0, 0, width, height);
+  }
+  // Compose composite canvas
+  const canvasComposite = document.createElement('canvas');
+  canvasComposite.width = width;
+  canvasComposite.height = height;
+  const ctxC = canvasComposite.getContext('2d');
+  ctxC.imageSmoothingQuality = 'high';
+  ctxC.drawImage(background, 0, 0, width, height);
+  // Effect values actually applied, recorded in the recipe and geometry
+  const effects = {
+    overlays: placedLayers.map(() => sampleEffects(OVERLAY_EFFECTS, random)),
+    composite: sampleEffects(COMPOSITE_EFFECTS, random),
+  };
+  placedLayers.forEach((layer, i) => {
+    drawLayerShadow(ctxC, layer);
+    drawLayerWithEffects(ctxC, layer, effects.overlays[i], random);
+  });
+  if (occluder) ctxC.drawImage(renderOccluder(background, occluder, width, height), 0, 0);
+  await applyCompositeEffects(canvasComposite, effects.composite, random);
+  const composite = encodeCanvas(canvasComposite, exportOptions.format);
+  const canvasName = `${baseName}.${composite.ext}`;
+  // Every output file as { folder, name, dataUrl }
+  const outputs = [{ folder: outputFolders.canvas, name: canvasName, dataUrl: composite.dataUrl }];
+  // One object image per visible layer: the keyed overlay at its original
+  // size, or the overlay as placed in the composite. A single layer keeps
+  // the plain base name; several layers are numbered from back to front.
+  if (exportOptions.objects) {
+    placedLayers.forEach((layer, i) => {
+      let canvasObj;
+      if (exportOptions.objectMode === 'transformed') {
+        canvasObj = renderPlacedLayer(layer);
+        if (!canvasObj) return;
+      } else {
+        canvasObj = document.createElement('canvas');
+        canvasObj.width = layer.originalImg.width;
+        canvasObj.height = layer.originalImg.height;
+        canvasObj.getContext('2d').drawImage(layer.originalImg, 0, 0);
+      }
+      const object = encodeCanvas(canvasObj, exportOptions.format, true);
+      outputs.push({
+        folder: outputFolders.objects,
+        name: placedLayers.length === 1 ? `${baseName}.${object.ext}` : `${baseName}_${i + 1}.${object.ext}`,
+        dataUrl: object.dataUrl,
+      });
+    });
+  }
+  // How much of each object is cut off by the image edges or occluders,
+  // measured when annotations or geometry need it
+  let visibilities = null;
+  const layerVisibilities = () => {
+    if (!visibilities) visibilities = placedLayers.map((layer) => layerVisibility(layer, width, height, occluder));
+    return visibilities;
+  };
+  // Bounding‑box annotation next to the composite. Boxes cover the visible
+  // part of each object.
+  const format = annotationFormatSelect.value;
+  if (format !== 'none') {
+    const boxes = [];
+    placedLayers.forEach((layer, i) => {
+      const bounds = computeLayerBounds(layer, width, height, occluder);
+      if (!bounds) return;
+      const { truncation, occlusion } = layerVisibilities()[i];
+      boxes.push({ label: layer.label, ...bounds, truncation, occlusion });
+    });
+    const annotation = buildAnnotation(format, canvasName, outputFolders.canvas, width, height, boxes);
+    outputs.push({
+      folder: outputFolders.canvas,
+      name: `${baseName}.${annotation.ext}`,
+      dataUrl: textToDataUrl(annotation.text, annotation.mimeType),
+    });
+    // YOLO class ids only make sense together with the class list, so it
+    // goes with every save, downloads included
+    if (format === 'yolo') {
+      outputs.push({
+        folder: outputFolders.canvas,
+        name: 'classes.txt',
+        dataUrl: textToDataUrl(classNames.join('\n') + '\n', 'text/plain'),
+      });
+    }
+  }
+  // Segmentation mask and geometry sidecar, aligned with the composite
+  const maskFormat = maskFormatSelect.value;
+  if (maskFormat !== 'none' || exportGeometryCheckbox.checked) {
+    const ids = buildInstanceMask(placedLayers, width, height, occluder);
+    const maskName = `${baseName}.png`;
+    if (maskFormat !== 'none') {
+      outputs.push({
+        folder: outputFolders.masks,
+        name: maskName,
+        dataUrl: instanceMaskToDataUrl(ids, width, height, maskFormat === 'binary'),
+      });
+    }
+    if (exportGeometryCheckbox.checked) {
+      const geometry = {
+        image: canvasName,
+        mask: maskFormat !== 'none' ? maskName : null,
+        maskType: maskFormat !== 'none' ? maskFormat : null,
+        width,
+        height,
+        effects: effects.composite,
+        objects: placedLayers.map((layer, i) => ({
+          instanceId: i + 1,
+          label: layer.label,
+          layer: layer.name,
+          rotatedBox: layerRotatedBox(layer),
+          // Fractions of the object shown, past the image edges and hidden
+          // behind occluders, and its full extent including the cut‑off part
+          visible: Number(layerVisibilities()[i].visible.toFixed(3)),
+          truncation: Number(layerVisibilities()[i].truncation.toFixed(3)),
+          occlusion: Number(layerVisibilities()[i].occlusion.toFixed(3)),
+          extent: layerVisibilities()[i].extent,
+          effects: effects.overlays[i],
+          polygons: traceInstancePolygons(ids, width, height, i + 1),
+        })),
+      };
+      outputs.push({
+        folder: outputFolders.masks,
+        name: `${baseName}.json`,
+        dataUrl: textToDataUrl(JSON.stringify(geometry, null, 2), 'application/json'),
+      });
+    }
+  }
+  // Recipe sidecar recording how the composite was made. Layers are
+  // recorded as placed on the full‑size background. It is named
+  // <name>.recipe.json because a COCO annotation already takes <name>.json
+  // in the same folder.
+  const recipe = buildRecipe(backgroundSource, visibleLayers, {
+    file: canvasName,
+    width,
+    height,
+    format: exportOptions.format,
+    quality: exportOptions.format === 'png' ? null : exportOptions.quality,
+  }, occluderMask, effects);
+  outputs.push({
+    folder: outputFolders.canvas,
+    name: `${baseName}.recipe.json`,
+    dataUrl: textToDataUrl(JSON.stringify(recipe, null, 2), 'application/json'),
+  });
+  return outputs;
+}
+
+// Write output files into their subfolders of the selected output
+// directory. Returns the written paths.
+async function writeOutputs(outputs) {
+  const written = [];
+  for (const output of outputs) {
+    // Create subdirectories if not existing
+    const dir = await outputDirectory(output.folder, true);
+    await writeDataUrlToFile(dir, output.name, output.dataUrl);
+    written.push(output.folder ? `${output.folder}/${output.name}` : output.name);
+  }
+  return written;
+}
+
+// Download output files via anchors; embed folder names in file name to differentiate
+function downloadOutputs(outputs) {
+  for (const output of outputs) {
+    const prefix = output.folder ? `${output.folder.replace(/\//g, '_')}_` : '';
+    downloadDataUrl(output.dataUrl, `${prefix}${output.name}`);
+  }
+}
+
 // Helper: write Data URL to a file in a directory using File System Access API
 async function writeDataUrlToFile(dirHandle, filename, dataUrl) {
   const fileHandle = await dirHandle.getFileHandle(filename, { create: true });
@@ -839,13 +5379,15 @@ async function writeDataUrlToFile(dirHandle, filename, dataUrl) {
   await writable.close();
 }
 
-// Perform cropping operation on the overlay image using cropStart and cropEnd.
+// Perform cropping operation on the selected layer using cropStart and cropEnd.
 // Cropping is defined in the overlay's local coordinate system (origin at centre, units in original pixels).
 function performCrop() {
+  const layer = activeLayer;
   // Validate state
-  if (!cropStart || !cropEnd || !overlayOriginalImg) return;
-  const oldWidth = overlayOriginalImg.width;
-  const oldHeight = overlayOriginalImg.height;
+  if (!cropStart || !cropEnd || !layer) return;
+  const overlayState = layer.state;
+  const oldWidth = layer.originalImg.width;
+  const oldHeight = layer.originalImg.height;
   // Determine the rectangle boundaries in local unscaled coordinates
   let x1 = Math.min(cropStart.x, cropEnd.x);
   let x2 = Math.max(cropStart.x, cropEnd.x);
@@ -872,31 +5414,28 @@ function performCrop() {
   // Centre of the crop in unscaled local coordinates
   const cropCenterX = (x1f + x2f) / 2;
   const cropCenterY = (y1f + y2f) / 2;
-  // Create off‑screen canvas to extract cropped region
-  const tmpCanvas = document.createElement('canvas');
-  tmpCanvas.width = wCrop;
-  tmpCanvas.height = hCrop;
-  const tmpCtx = tmpCanvas.getContext('2d');
-  tmpCtx.drawImage(overlayOriginalImg, -u1, -v1);
-  const dataURL = tmpCanvas.toDataURL();
-  const newImg = new Image();
-  newImg.onload = () => {
+  // The crop is kept as a rectangle on the unkeyed overlay so that re‑keying
+  // and matte changes still apply to the cropped region
+  const newCrop = { x: layer.crop.x + u1, y: layer.crop.y + v1, w: wCrop, h: hCrop };
+  saveState('Crop');
+  processOverlay({ ...layer, crop: newCrop }, (newImg) => {
     // Update overlay images
-    overlayImg = newImg;
-    overlayOriginalImg = newImg;
+    layer.img = newImg;
+    layer.originalImg = newImg;
+    layer.crop = newCrop;
     // Compute global shift: how far the crop centre is from the overlay centre
-    const scale = overlayState.scale;
+    const { scaleX, scaleY } = overlayState;
     const angleRad = (overlayState.angle * Math.PI) / 180;
-    const deltaX = cropCenterX * scale;
-    const deltaY = cropCenterY * scale;
+    const deltaX = cropCenterX * scaleX;
+    const deltaY = cropCenterY * scaleY;
     const shiftX = deltaX * Math.cos(angleRad) - deltaY * Math.sin(angleRad);
     const shiftY = deltaX * Math.sin(angleRad) + deltaY * Math.cos(angleRad);
     // Compute old global centre
-    const oldCentreX = overlayState.x + (oldWidth * scale) / 2;
-    const oldCentreY = overlayState.y + (oldHeight * scale) / 2;
+    const oldCentreX = overlayState.x + (oldWidth * scaleX) / 2;
+    const oldCentreY = overlayState.y + (oldHeight * scaleY) / 2;
     // Compute new overlay dimensions (scaled)
-    const newWidthScaled = wCrop * scale;
-    const newHeightScaled = hCrop * scale;
+    const newWidthScaled = wCrop * scaleX;
+    const newHeightScaled = hCrop * scaleY;
     // New centre after cropping
     let newCentreX = oldCentreX + shiftX;
     let newCentreY = oldCentreY + shiftY;
@@ -904,16 +5443,14 @@ function performCrop() {
     let newX = newCentreX - newWidthScaled / 2;
     let newY = newCentreY - newHeightScaled / 2;
     // Clamp within background bounds
-    newX = Math.max(0, Math.min(newX, bgImg.width - newWidthScaled));
-    newY = Math.max(0, Math.min(newY, bgImg.height - newHeightScaled));
+    ({ x: newX, y: newY } = constrainToBackground(newX, newY, newWidthScaled, newHeightScaled));
     overlayState.x = newX;
     overlayState.y = newY;
     // Reset crop state
     cropStart = null;
     cropEnd = null;
     drawScene();
-  };
-  newImg.src = dataURL;
+  });
 }
 
 function downloadDataUrl(dataUrl, filename) {
@@ -926,7 +5463,15 @@ function downloadDataUrl(dataUrl, filename) {
   document.body.removeChild(link);
 }
 
+// Hide the brush outlines when the pointer leaves the canvas
+canvas.addEventListener('pointerleave', () => {
+  if (!brushCursor && !occluderCursor) return;
+  brushCursor = null;
+  occluderCursor = null;
+  drawScene();
+});
+
 // Disable context menu on canvas to prevent default right‑click behaviour
 canvas.addEventListener('contextmenu', (e) => {
   e.preventDefault();
-});
\ No newline at end of file
+});